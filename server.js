@@ -1,5 +1,36 @@
 import express from 'express';
 import { handleCrawl } from './src/services/browserService.js';
+import { handleSiteCrawl } from './src/services/siteCrawlService.js';
+import { handleCreateJob, handleGetJob } from './src/services/jobService.js';
+import { handleSitemap } from './src/services/sitemapService.js';
+import { getCacheStats } from './src/services/cacheService.js';
+import { getHostStats } from './src/services/hostScheduler.js';
+import { handleGetArtifact } from './src/services/artifactStore.js';
+import { loadHandlerModules } from './src/services/handlerRegistry.js';
+import { handleGetRules, handleReloadRules } from './src/services/extractionRules.js';
+import { loadProxySettings } from './src/services/proxyService.js';
+import { loadAddressRules } from './src/utils/ssrfGuard.js';
+import {
+  authenticateApiKey,
+  handleListApiKeys,
+  handleReloadApiKeys,
+  isAuthEnabled,
+  meterApiKey,
+  reloadApiKeys,
+  requireAdmin,
+} from './src/services/apiKeys.js';
+import {
+  handleCreateWatch,
+  handleDeleteWatch,
+  handleGetWatch,
+  handleGetWatchHistory,
+  handleListWatches,
+  startWatchScheduler,
+  stopWatchScheduler,
+} from './src/services/watchService.js';
+import { getLastBrowserError, getPoolStats } from './src/services/browserManager.js';
+import { statusTracker } from './src/utils/statusTracker.js';
+import { handleMetrics } from './src/utils/metrics.js';
 import { config } from './src/utils/config.js';
 import { logger } from './src/utils/logger.js';
 import { registerErrorHandlers, formatError } from './src/utils/errors.js';
@@ -14,13 +45,59 @@ app.get('/', (_req, res) => {
   res.json({ status: 'OK' });
 });
 
+// everything below the health check needs an API key once API_KEYS_FILE is configured
+app.use(authenticateApiKey);
+
+app.get('/status', (_req, res) => {
+  const lastBrowserError = getLastBrowserError();
+  res.json({
+    ...statusTracker.getSnapshot(),
+    browserPool: getPoolStats(),
+    cache: getCacheStats(),
+    hosts: getHostStats(),
+    lastBrowserError: lastBrowserError ? String(lastBrowserError.message ?? lastBrowserError) : null,
+  });
+});
+
 // wrapper to ensure async errors are forwarded to Express error middleware
 const wrapAsync = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
+// Prometheus scrape endpoint
+app.get('/metrics', wrapAsync(handleMetrics));
+
 // GET /crawl?url=...
-app.get('/crawl', wrapAsync(handleCrawl));
+app.get('/crawl', meterApiKey, wrapAsync(handleCrawl));
 // POST /crawl with url in body (application/json or application/x-www-form-urlencoded)
-app.post('/crawl', wrapAsync(handleCrawl));
+app.post('/crawl', meterApiKey, wrapAsync(handleCrawl));
+
+// GET /crawl/site?url=...&maxDepth=...&maxPages=... (or POST with the same fields in the body)
+app.get('/crawl/site', meterApiKey, wrapAsync(handleSiteCrawl));
+app.post('/crawl/site', meterApiKey, wrapAsync(handleSiteCrawl));
+
+// screenshots and rendered PDFs captured with artifactDelivery: 'url'
+app.get('/artifacts/:name', wrapAsync(handleGetArtifact));
+
+// per-domain extraction rules; edits to the rules file are also picked up automatically
+app.get('/rules', wrapAsync(handleGetRules));
+app.post('/rules/reload', requireAdmin, wrapAsync(handleReloadRules));
+
+// GET /sitemap?url=... expands a site's sitemaps (robots.txt entries or /sitemap.xml) into URLs
+app.get('/sitemap', meterApiKey, wrapAsync(handleSitemap));
+
+// POST /jobs queues a crawl and returns its id straight away; poll GET /jobs/:id for the result
+app.post('/jobs', meterApiKey, wrapAsync(handleCreateJob));
+app.get('/jobs/:id', wrapAsync(handleGetJob));
+
+// page change monitoring: scheduled re-crawls with diff webhooks
+app.post('/watches', meterApiKey, wrapAsync(handleCreateWatch));
+app.get('/watches', wrapAsync(handleListWatches));
+app.get('/watches/:id', wrapAsync(handleGetWatch));
+app.get('/watches/:id/history', wrapAsync(handleGetWatchHistory));
+app.delete('/watches/:id', wrapAsync(handleDeleteWatch));
+
+// API key administration (admin keys only)
+app.get('/admin/keys', requireAdmin, wrapAsync(handleListApiKeys));
+app.post('/admin/keys/reload', requireAdmin, wrapAsync(handleReloadApiKeys));
 
 // 404 handler (JSON)
 app.use((req, res) => {
@@ -48,6 +125,7 @@ const startServer = (port = config.port) => {
   serverInstance = app.listen(port, () => {
     logger.info(`[server] listening on ${port}`);
   });
+  startWatchScheduler();
 
   serverInstance.on('error', (err) => {
     logger.error(`[server-start] ${err.message ?? err}`);
@@ -62,6 +140,7 @@ const stopServer = async () => {
     return;
   }
 
+  stopWatchScheduler();
   await new Promise((resolve, reject) => {
     serverInstance.close((err) => {
       if (err) reject(err);
@@ -73,6 +152,20 @@ const stopServer = async () => {
 };
 
 if (process.env.NODE_ENV !== 'test') {
+  // custom content handlers must be registered before the first crawl is accepted
+  await loadHandlerModules();
+  // an invalid proxy configuration stops startup instead of silently crawling from the server's own IP
+  loadProxySettings();
+  loadAddressRules();
+  if (isAuthEnabled()) {
+    try {
+      reloadApiKeys();
+    } catch (_) {
+      // logged; every request is rejected until the keys file is fixed
+    }
+  } else {
+    logger.warn('[auth] API_KEYS_FILE is not set, the API is open to anyone who can reach it');
+  }
   startServer();
 }
 
@@ -0,0 +1,311 @@
+// API key authentication, per-key quotas and usage accounting. Keys live in API_KEYS_FILE (JSON)
+// and are re-read when the file changes; without API_KEYS_FILE the server is open.
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError, formatError } from '../utils/errors.js';
+import { compileHostPattern } from '../utils/hostPatterns.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let state = { keys: new Map(), loadedAt: null, mtimeMs: null, error: null }; // keys: sha256(key) -> entry
+let lastCheckAt = 0;
+const usage = new Map(); // key id -> counters; kept across reloads so rotated keys keep their history
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+const readLimit = (value, field, id) => {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) throw new Error(`key "${id}": ${field} must be a positive integer`);
+  return value;
+};
+
+const compileKeys = (document) => {
+  const list = Array.isArray(document) ? document : document?.keys;
+  if (!Array.isArray(list)) throw new Error('keys file must be an array or { "keys": [...] }');
+
+  const keys = new Map();
+  const ids = new Set();
+  list.forEach((entry, index) => {
+    const id = typeof entry?.id === 'string' ? entry.id.trim() : '';
+    if (!id) throw new Error(`key ${index} needs an "id"`);
+    if (ids.has(id)) throw new Error(`duplicate key id "${id}"`);
+    ids.add(id);
+
+    // the file may hold the key itself or only its SHA-256 (hex)
+    const hash = typeof entry.key === 'string' && entry.key ? sha256(entry.key) : String(entry.keySha256 ?? '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(hash)) throw new Error(`key "${id}" needs "key" or a hex "keySha256"`);
+
+    const allowedDomains = [].concat(entry.allowedDomains ?? []).map(String);
+    keys.set(hash, {
+      id,
+      admin: entry.admin === true,
+      disabled: entry.disabled === true,
+      requestsPerMinute: readLimit(entry.requestsPerMinute, 'requestsPerMinute', id),
+      requestsPerDay: readLimit(entry.requestsPerDay, 'requestsPerDay', id),
+      maxConcurrent: readLimit(entry.maxConcurrent, 'maxConcurrent', id),
+      allowedDomains,
+      domainMatchers: allowedDomains.map(compileHostPattern),
+    });
+  });
+  return keys;
+};
+
+export const isAuthEnabled = () => Boolean(config.apiKeys.file);
+
+/**
+ * (Re)load the keys file. A missing or invalid file keeps the previous keys (none at startup),
+ * so authentication fails closed. Returns the key summary; throws when the file cannot be used.
+ */
+export function reloadApiKeys() {
+  const file = config.apiKeys.file;
+  lastCheckAt = Date.now();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    state.mtimeMs = mtimeMs;
+    const keys = compileKeys(JSON.parse(fs.readFileSync(file, 'utf8')));
+    state = { keys, loadedAt: new Date().toISOString(), mtimeMs, error: null };
+    logger.info(`[auth] loaded ${keys.size} API keys from ${file}`);
+    return listApiKeys();
+  } catch (err) {
+    state.error = String(err.message ?? err);
+    logger.error(`[auth] could not load ${file}, keeping previous keys: ${formatError(err)}`);
+    throw err;
+  }
+}
+
+const refreshIfChanged = () => {
+  if (Date.now() - lastCheckAt < config.apiKeys.checkIntervalMs) return;
+  lastCheckAt = Date.now();
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(config.apiKeys.file).mtimeMs;
+  } catch (_) {
+    // missing file: keep what is loaded
+  }
+  if (mtimeMs === null || (mtimeMs === state.mtimeMs && state.loadedAt)) return;
+  try {
+    reloadApiKeys();
+  } catch (_) {
+    // already logged
+  }
+};
+
+const usageFor = (id) => {
+  let counters = usage.get(id);
+  if (!counters) {
+    counters = { total: 0, rejected: 0, minute: { window: 0, count: 0 }, day: { window: 0, count: 0 }, active: 0, lastUsedAt: null };
+    usage.set(id, counters);
+  }
+  return counters;
+};
+
+// fixed windows: the current minute and the current UTC day
+const windowCount = (bucket, window) => (bucket.window === window ? bucket.count : 0);
+
+const describeUsage = (id) => {
+  const counters = usageFor(id);
+  const now = Date.now();
+  return {
+    requestsTotal: counters.total,
+    rejectedTotal: counters.rejected,
+    requestsThisMinute: windowCount(counters.minute, Math.floor(now / MINUTE_MS)),
+    requestsToday: windowCount(counters.day, Math.floor(now / DAY_MS)),
+    active: counters.active,
+    lastUsedAt: counters.lastUsedAt,
+  };
+};
+
+/**
+ * Loaded keys with their limits and usage; key material is never included.
+ */
+export function listApiKeys() {
+  return {
+    enabled: isAuthEnabled(),
+    file: config.apiKeys.file,
+    loadedAt: state.loadedAt,
+    error: state.error,
+    keys: Array.from(state.keys.values()).map(({ domainMatchers, ...entry }) => ({ ...entry, usage: describeUsage(entry.id) })),
+  };
+}
+
+/**
+ * Whether `key` may crawl `url` (its host matches the key's allowedDomains, or the list is empty).
+ */
+export function isDomainAllowed(key, url) {
+  if (!key?.domainMatchers.length) return true;
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return key.domainMatchers.some((matches) => matches(host));
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Throw DOMAIN_NOT_ALLOWED when a crawl result's URL or one of its redirect hops is not accepted by
+ * `allowUrl` (see isDomainAllowed), so a redirect cannot carry a key outside its allowed domains.
+ */
+export function assertRedirectsAllowed(result, allowUrl) {
+  const outside = [result.url, ...(result.redirects ?? [])].find((hop) => hop && !allowUrl(hop));
+  if (outside) {
+    throw new CrawlError('Redirected to a domain not allowed for this API key', { code: 'DOMAIN_NOT_ALLOWED', details: { url: outside } });
+  }
+}
+
+const readPresentedKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') ?? '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Express middleware: require a valid key in `X-API-Key` or `Authorization: Bearer`.
+ * Sets `req.apiKey`. Pass-through when authentication is not configured.
+ */
+export function authenticateApiKey(req, res, next) {
+  if (!isAuthEnabled()) return next();
+  refreshIfChanged();
+
+  const presented = readPresentedKey(req);
+  if (!presented) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'API key required' });
+  }
+  const key = state.keys.get(sha256(presented));
+  if (!key || key.disabled) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  req.apiKey = key;
+  return next();
+}
+
+const reject = (res, counters, status, body, retryAfterMs = null) => {
+  counters.rejected += 1;
+  if (retryAfterMs !== null) res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(status).json(body);
+};
+
+/**
+ * Check `key`'s allowed domains and quotas for a crawl of `url` and count it.
+ * Returns { release } holding one of the key's concurrent slots, or { status, body, retryAfterMs }
+ * when the crawl is refused.
+ */
+const admit = (key, url, counters) => {
+  if (url && !isDomainAllowed(key, url)) {
+    return { status: 403, body: { error: 'Domain not allowed for this API key', url } };
+  }
+
+  const now = Date.now();
+  const minute = Math.floor(now / MINUTE_MS);
+  const day = Math.floor(now / DAY_MS);
+  if (key.requestsPerMinute && windowCount(counters.minute, minute) >= key.requestsPerMinute) {
+    return { status: 429, body: { error: 'API key quota exceeded', limit: 'requestsPerMinute' }, retryAfterMs: (minute + 1) * MINUTE_MS - now };
+  }
+  if (key.requestsPerDay && windowCount(counters.day, day) >= key.requestsPerDay) {
+    return { status: 429, body: { error: 'API key quota exceeded', limit: 'requestsPerDay' }, retryAfterMs: (day + 1) * DAY_MS - now };
+  }
+  if (key.maxConcurrent && counters.active >= key.maxConcurrent) {
+    return { status: 429, body: { error: 'Too many concurrent requests for this API key', limit: 'maxConcurrent' } };
+  }
+
+  counters.minute = { window: minute, count: windowCount(counters.minute, minute) + 1 };
+  counters.day = { window: day, count: windowCount(counters.day, day) + 1 };
+  counters.total += 1;
+  counters.active += 1;
+  counters.lastUsedAt = new Date(now).toISOString();
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    counters.active -= 1;
+  };
+  return { release };
+};
+
+/**
+ * Express middleware for routes that start crawls: enforces the key's allowed domains (on the
+ * request's `url`), per-minute and per-day quotas and concurrent-request cap, then counts the request.
+ * The concurrent slot is released when the response ends, unless the handler takes it over with
+ * `req.holdApiKeySlot()` (returns the release function) for work that outlives the response.
+ */
+export function meterApiKey(req, res, next) {
+  const key = req.apiKey;
+  if (!key) return next();
+  const counters = usageFor(key.id);
+
+  const admission = admit(key, req.body?.url ?? req.query?.url, counters);
+  if (!admission.release) return reject(res, counters, admission.status, admission.body, admission.retryAfterMs ?? null);
+
+  const { release } = admission;
+  res.on('finish', release);
+  res.on('close', release);
+  req.holdApiKeySlot = () => {
+    res.off('finish', release);
+    res.off('close', release);
+    return release;
+  };
+  return next();
+}
+
+/**
+ * Meter a background crawl (a watch run) against the key with id `keyId`, like a request from it.
+ * Returns the function that releases the key's concurrent slot. Throws a CrawlError when the key
+ * is gone or disabled (API_KEY_REVOKED), no longer allows the URL's host (DOMAIN_NOT_ALLOWED)
+ * or is over quota (QUOTA_EXCEEDED). Without authentication,
+ * or for crawls no key owns, nothing is metered.
+ */
+export function meterApiKeyRun(keyId, url) {
+  if (!isAuthEnabled() || !keyId) return () => {};
+  refreshIfChanged();
+  const key = Array.from(state.keys.values()).find((entry) => entry.id === keyId);
+  if (!key || key.disabled) throw new CrawlError('API key no longer valid', { code: 'API_KEY_REVOKED', details: { apiKeyId: keyId } });
+
+  const counters = usageFor(key.id);
+  const admission = admit(key, url, counters);
+  if (admission.release) return admission.release;
+  counters.rejected += 1;
+  const { error, ...details } = admission.body;
+  throw new CrawlError(error, { code: admission.status === 403 ? 'DOMAIN_NOT_ALLOWED' : 'QUOTA_EXCEEDED', details });
+}
+
+/**
+ * Whether the key on a request may see a job or watch created by the key with id `ownerId`.
+ * Admin keys see everything; without authentication everything is visible.
+ */
+export function canAccess(key, ownerId) {
+  if (!isAuthEnabled() || key?.admin) return true;
+  return Boolean(key) && key.id === ownerId;
+}
+
+/**
+ * Express middleware: only admin keys pass (everyone when authentication is not configured).
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAuthEnabled() || req.apiKey?.admin) return next();
+  return res.status(403).json({ error: 'Admin API key required' });
+}
+
+/**
+ * Express handler for GET /admin/keys.
+ */
+export async function handleListApiKeys(_req, res) {
+  refreshIfChanged();
+  return res.json(listApiKeys());
+}
+
+/**
+ * Express handler for POST /admin/keys/reload.
+ */
+export async function handleReloadApiKeys(_req, res) {
+  try {
+    return res.json(reloadApiKeys());
+  } catch (err) {
+    return res.status(422).json({ error: 'Invalid API keys file', details: String(err.message ?? err) });
+  }
+}
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { formatError } from '../utils/errors.js';
+
+const CONTENT_TYPES = { png: 'image/png', jpeg: 'image/jpeg', pdf: 'application/pdf' };
+const ARTIFACT_NAME_PATTERN = /^[0-9a-f-]{36}\.(png|jpeg|pdf)$/;
+
+const artifactDir = path.join(config.dataDir, 'artifacts');
+
+// remove artifacts older than ARTIFACT_TTL_MS; runs on every save
+const pruneArtifacts = () => {
+  if (!fs.existsSync(artifactDir)) return;
+  const cutoff = Date.now() - config.artifacts.ttlMs;
+  fs.readdirSync(artifactDir).forEach((name) => {
+    const file = path.join(artifactDir, name);
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+    } catch (err) {
+      logger.warn(`[artifacts] could not prune ${name}: ${formatError(err)}`);
+    }
+  });
+};
+
+/**
+ * Store a captured artifact on disk.
+ * Returns { name, url } where url is the relative download path.
+ */
+export function saveArtifact(buffer, extension) {
+  pruneArtifacts();
+  fs.mkdirSync(artifactDir, { recursive: true });
+  const name = `${randomUUID()}.${extension}`;
+  fs.writeFileSync(path.join(artifactDir, name), buffer);
+  return { name, url: `/artifacts/${name}` };
+}
+
+/**
+ * Shape a captured buffer for the crawl response: inline base64 or a download URL.
+ */
+export function deliverArtifact(buffer, extension, delivery = 'base64') {
+  const artifact = { contentType: CONTENT_TYPES[extension], bytes: buffer.length };
+  if (delivery === 'url') return { ...artifact, url: saveArtifact(buffer, extension).url };
+  return { ...artifact, data: buffer.toString('base64') };
+}
+
+/**
+ * Express handler for GET /artifacts/:name.
+ */
+export async function handleGetArtifact(req, res) {
+  const { name } = req.params;
+  const match = ARTIFACT_NAME_PATTERN.exec(name);
+  const file = match && path.join(artifactDir, name);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'Artifact not found', name });
+
+  res.set('Content-Type', CONTENT_TYPES[match[1]]);
+  res.set('Content-Disposition', `attachment; filename="${name}"`);
+  return res.sendFile(file);
+}
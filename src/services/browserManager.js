@@ -1,6 +1,11 @@
 // browserManager.js
 import fs from 'fs';
 import { chromium } from 'rebrowser-playwright';
+import { config } from '../utils/config.js';
+import { CrawlError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { createSemaphore } from '../utils/semaphore.js';
+import { metrics } from '../utils/metrics.js';
 
 const FAST_ARGS = [
   '--no-first-run',
@@ -28,8 +33,16 @@ const FAST_ARGS = [
 ];
 
 let browserPromise = null;      // shared across all callers
+let sharedBrowser = null;       // resolved value of browserPromise
 let lastError = null;
 
+// Context pool state: a semaphore caps concurrent contexts, and the shared browser is
+// recycled after `maxUses` contexts or a crash. Retired browsers close once drained.
+const contextSlots = createSemaphore(config.browserPool.maxConcurrency);
+const activeContexts = new Map(); // browser -> open pooled contexts
+const retiringBrowsers = new Set();
+const poolCounters = { uses: 0, launches: 0, recycles: 0 };
+
 /**
  * Internal: wire 'disconnected' to allow auto-recreate on next call.
  */
@@ -37,7 +50,14 @@ function attachLifecycle(browser, { shared = true } = {}) {
   try {
     browser.on?.('disconnected', () => {
       // If this was the shared browser, reset the shared promise so callers can recreate it.
-      if (shared) browserPromise = null;
+      if (shared && browser === sharedBrowser) {
+        browserPromise = null;
+        sharedBrowser = null;
+        poolCounters.uses = 0;
+      }
+      activeContexts.delete(browser);
+      retiringBrowsers.delete(browser);
+      updatePoolGauges();
     });
   } catch {}
 }
@@ -162,10 +182,22 @@ export async function getBrowser() {
       ].join('\n');
 
       const msg = `Failed to obtain a browser instance.\nLast underlying error: ${String(lastError?.message || lastError || err)}\n${hints}`;
-      throw new Error(msg);
+      logger.error(`[browserManager] ${msg}`);
+      throw new CrawlError('Browser could not be started', { code: 'BROWSER_LAUNCH_FAILED', details: { details: msg } });
     }
   })();
 
+  const pending = browserPromise;
+  pending.then((browser) => {
+    if (browserPromise !== pending) return;
+    sharedBrowser = browser;
+    // earlier strategies may have failed on the way; the browser we got is what /status should reflect
+    lastError = null;
+    poolCounters.uses = 0;
+    poolCounters.launches += 1;
+    updatePoolGauges();
+  }, () => {});
+
   return browserPromise;
 }
 
@@ -174,15 +206,137 @@ export async function getBrowser() {
  * Safe to call multiple times.
  */
 export async function closeSharedBrowser() {
+  const retiring = Array.from(retiringBrowsers);
+  retiringBrowsers.clear();
+  await Promise.all(retiring.map((b) => b.close().catch(() => {})));
+
   if (!browserPromise) return;
   try {
     const b = await browserPromise.catch(() => null);
     if (b) await b.close().catch(() => {});
   } finally {
     browserPromise = null;
+    sharedBrowser = null;
   }
 }
 
+/**
+ * Close a retired browser once its last pooled context has been released.
+ */
+function closeIfDrained(browser) {
+  if (!retiringBrowsers.has(browser) || (activeContexts.get(browser) ?? 0) > 0) return;
+  retiringBrowsers.delete(browser);
+  activeContexts.delete(browser);
+  browser.close().catch(() => {});
+  updatePoolGauges();
+}
+
+const isBrowserConnected = (browser) => browser.isConnected?.() ?? true;
+
+/**
+ * Detach the shared browser so the next acquire launches a fresh one.
+ * In-flight contexts keep running; the old browser closes when they are released.
+ */
+function retireSharedBrowser(browser) {
+  if (!browser || browser !== sharedBrowser) return;
+  browserPromise = null;
+  sharedBrowser = null;
+  poolCounters.recycles += 1;
+  retiringBrowsers.add(browser);
+  closeIfDrained(browser);
+}
+
+/**
+ * Borrow a fresh browser context from the pool.
+ * Waits (up to BROWSER_POOL_ACQUIRE_TIMEOUT_MS) while the pool is at maximum concurrency,
+ * so callers never start more than BROWSER_POOL_MAX_CONCURRENCY contexts at once.
+ * Returns { context, browser, release }. Call `release({ crashed: true })` after a
+ * browser-level failure; the browser is recycled when it has disconnected, and reused otherwise.
+ */
+export async function acquireContext(contextOptions = {}) {
+  let releaseSlot;
+  try {
+    const slot = contextSlots.acquire({ timeoutMs: config.browserPool.acquireTimeoutMs });
+    updatePoolGauges();
+    releaseSlot = await slot;
+  } catch (err) {
+    updatePoolGauges();
+    throw new CrawlError('No browser available', { code: 'BROWSER_UNAVAILABLE', details: { details: `Browser pool exhausted: ${err.message}` } });
+  }
+
+  let browser, context;
+  try {
+    // a dead shared browser fails newContext; retire it and try once more with a fresh one.
+    // A browser that is still connected only failed this context and stays in service.
+    for (let attempt = 0; attempt < 2 && !context; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      browser = await getBrowser();
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        context = await browser.newContext(contextOptions);
+      } catch (err) {
+        lastError = err;
+        if (isBrowserConnected(browser) || attempt === 1) throw err;
+        retireSharedBrowser(browser);
+      }
+    }
+  } catch (err) {
+    releaseSlot();
+    throw err;
+  }
+
+  poolCounters.uses += 1;
+  activeContexts.set(browser, (activeContexts.get(browser) ?? 0) + 1);
+  if (poolCounters.uses >= config.browserPool.maxUses) retireSharedBrowser(browser);
+  updatePoolGauges();
+
+  let released = false;
+  const release = async ({ crashed = false } = {}) => {
+    if (released) return;
+    released = true;
+    await context.close().catch(() => {});
+    if (activeContexts.has(browser)) {
+      activeContexts.set(browser, Math.max(0, activeContexts.get(browser) - 1));
+    }
+    // page-level failures (a destroyed execution context, a closed page) leave the browser usable
+    if (crashed && !isBrowserConnected(browser)) retireSharedBrowser(browser);
+    closeIfDrained(browser);
+    releaseSlot();
+    updatePoolGauges();
+  };
+
+  return { context, browser, release };
+}
+
+/**
+ * Snapshot of pool health for diagnostics.
+ */
+export function getPoolStats() {
+  let activeContextCount = 0;
+  activeContexts.forEach((count) => { activeContextCount += count; });
+  return {
+    maxConcurrency: contextSlots.limit,
+    activeContexts: activeContextCount,
+    waiting: contextSlots.waiting,
+    browsers: (sharedBrowser ? 1 : 0) + retiringBrowsers.size,
+    sharedBrowserConnected: Boolean(sharedBrowser?.isConnected?.()),
+    usesOfCurrentBrowser: poolCounters.uses,
+    maxUses: config.browserPool.maxUses,
+    launches: poolCounters.launches,
+    recycles: poolCounters.recycles,
+  };
+}
+
+/**
+ * Mirror pool stats into the Prometheus gauges.
+ */
+function updatePoolGauges() {
+  const stats = getPoolStats();
+  metrics.activeBrowsers.set(stats.browsers);
+  metrics.activeContexts.set(stats.activeContexts);
+  metrics.waitingCrawls.set(stats.waiting);
+}
+
 /**
  * Optional: expose last error for diagnostics.
  */
@@ -1,81 +1,179 @@
-import { chromium } from 'rebrowser-playwright';
+import fs from 'fs';
 import { logger } from '../utils/logger.js';
-import { formatError } from '../utils/errors.js';
-import { createNewBrowserInstance } from './browserManager.js';
-import { constants } from '../utils/config.js';
-import { handleRequest as htmlHandle } from './htmlHandler.js';
-import { handleRequest as pdfHandle } from './pdfHandler.js';
+import { CrawlError, formatError, toCrawlError, upstreamError } from '../utils/errors.js';
+import { acquireContext } from './browserManager.js';
+import { defaultCrawlOptions, parseCrawlOptions } from '../utils/crawlOptions.js';
+import { getHandler, isGenericContentType, resolveHandler } from './handlerRegistry.js';
+import { assertBodySize, decodeText } from './handlerSupport.js';
 import { statusTracker } from '../utils/statusTracker.js';
-
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36';
-
+import { metrics } from '../utils/metrics.js';
+import { assertAllowedByRobots } from './robotsService.js';
+import { crawlWithCache } from './cacheService.js';
+import { chunkMarkdown } from '../utils/chunker.js';
+import { buildFormats } from '../utils/formats.js';
+import { startWarcRecording } from './warcArchive.js';
+import { describeProxy, selectProxy, toContextProxy } from './proxyService.js';
+import { noteHostResponse, withHostSlot } from './hostScheduler.js';
+import { assertPublicUrl, guardContext } from '../utils/ssrfGuard.js';
+import { passChallenge } from './challengeDetector.js';
+import { assertRedirectsAllowed, isDomainAllowed } from './apiKeys.js';
 
 /**
- * Create browser/context, navigate and delegate to pdf or html handler.
- * Returns handler result (object ready to be JSON-stringified).
+ * Validate a raw url parameter. Returns a URL or throws a CrawlError (400).
  */
-async function handleCrawl(req, res) {
-  // accept url from query (GET) or body (POST form/json/urlencoded)
-  const url = (req.body?.url ?? req.query?.url)?.trim();
-  if (!url) return res.status(400).json({ error: req.method === 'GET' ? 'Missing url query parameter' : 'Missing url parameter' });
-
-  logger.info(`[browserService] received crawl request for ${url}`);
+function parseTargetUrl(rawUrl, { missingMessage = 'Missing url parameter' } = {}) {
+  const url = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+  if (!url) throw new CrawlError(missingMessage, { statusCode: 400 });
 
-  // validate URL
   let targetUrl;
   try {
     targetUrl = new URL(url);
   } catch (e) {
-    return res.status(400).json({ error: 'Invalid URL' });
+    throw new CrawlError('Invalid URL', { statusCode: 400 });
   }
   if (!['http:', 'https:'].includes(targetUrl.protocol)) {
-    return res.status(400).json({ error: 'Only http and https protocols are supported' });
+    throw new CrawlError('Only http and https protocols are supported', { statusCode: 400 });
+  }
+  return targetUrl;
+}
+
+const isRecoverableError = (err) => {
+  const msg = String(err && err.message ? err.message : err);
+  return /Execution context was destroyed/i.test(msg)
+    || /context was destroyed/i.test(msg)
+    || /Unable to retrieve content because the page is navigating/i.test(msg)
+    || /cannot get world/i.test(msg)
+    || /Runtime\.addBinding/i.test(msg)
+    || /session closed/i.test(msg)
+    || /Protocol error/i.test(msg)
+    || (err && err.type === 'closed');
+};
+
+/**
+ * Wrap a finished browser download in a response-like object ({ url, status, headers, body, request })
+ * so handlers read it like a navigation response. `navigationResponse`, when the browser reported one,
+ * supplies the real status, headers and redirect chain.
+ */
+const captureDownload = async (download, navigationResponse) => {
+  const failure = await download.failure();
+  if (failure) throw new Error(`Download failed: ${failure}`);
+  const file = await download.path();
+  assertBodySize(null, (await fs.promises.stat(file)).size);
+  const buffer = await fs.promises.readFile(file);
+  await download.delete().catch(() => {});
+
+  const headers = { ...navigationResponse?.headers() };
+  // the suggested file name still tells the handler registry what the file is
+  headers['content-disposition'] ??= `attachment; filename="${download.suggestedFilename()}"`;
+  return {
+    url: () => download.url(),
+    status: () => navigationResponse?.status() ?? 200,
+    headers: () => headers,
+    body: async () => buffer,
+    request: () => navigationResponse?.request() ?? null,
+  };
+};
+
+/**
+ * Navigate to `url`. Navigations that turn into a download ("Download is starting"), such as
+ * attachments or PDFs in headless Chromium, are captured instead of failing.
+ * Returns { response, downloaded }
+ */
+const navigate = async (page, url, options) => {
+  const navigationResponses = new Map();
+  const onResponse = (resp) => {
+    try {
+      if (resp.request().isNavigationRequest()) navigationResponses.set(resp.url(), resp);
+    } catch (_) {}
+  };
+  page.on('response', onResponse);
+  // settles with null once the page closes if no download ever starts
+  const downloadEvent = page.waitForEvent('download', { timeout: options.timeoutMs }).catch(() => null);
+
+  try {
+    const response = await page.goto(url, { waitUntil: options.waitUntil });
+    return { response, downloaded: false };
+  } catch (err) {
+    if (!/Download is starting/i.test(String(err?.message ?? err))) throw err;
+    const download = await downloadEvent;
+    if (!download) throw err;
+    logger.info(`[browserService] navigation to ${url} started a download, capturing it`);
+    return { response: await captureDownload(download, navigationResponses.get(download.url())), downloaded: true };
+  } finally {
+    page.off('response', onResponse);
   }
+};
 
-  let browser, context, page;
+/**
+ * Create browser/context, navigate and delegate to the content handler chosen by the handler registry.
+ * Retries once with a fresh browser on recoverable Playwright errors and throws otherwise.
+ * The context uses the proxy chosen by proxyService (reported in `proxy`), and every request it makes
+ * (redirect hops and subresources included) must pass the SSRF address check.
+ * With `options.archive` the exchanges are written to WARC and the result carries `warc`.
+ * Failures are thrown as CrawlErrors with a code from ERROR_CODES: upstream 4xx/5xx responses
+ * (UPSTREAM_4XX / UPSTREAM_5XX), bot challenges that do not clear (BLOCKED), bodies over
+ * CRAWL_MAX_BODY_BYTES (TOO_LARGE), types no handler accepts (UNSUPPORTED_TYPE) and
+ * classified browser/network errors. The body carries `upstreamStatus` when a response arrived.
+ * Returns handler result (object ready to be JSON-stringified) with `upstreamStatus`.
+ */
+async function crawlPage(targetUrl, options) {
+  const url = targetUrl.href;
+  const startedAt = Date.now();
+  const endCrawlTimer = metrics.crawlDuration.startTimer();
+  let lease, context, page, recorder;
+  let contentType = 'unknown';
+  let upstreamStatus = null;
   // mark request as active in the spinner and reserve a slot in totals
   statusTracker.incrementTotal(1);
+  statusTracker.crawlStarted();
   statusTracker.refreshSpinner({ status: 'active', url: targetUrl.href, archived: false });
 
-  let retried = false;
-
-  const isRecoverableError = (err) => {
-    const msg = String(err && err.message ? err.message : err);
-    return /Execution context was destroyed/i.test(msg)
-      || /context was destroyed/i.test(msg)
-      || /Unable to retrieve content because the page is navigating/i.test(msg)
-      || /cannot get world/i.test(msg)
-      || /Runtime\.addBinding/i.test(msg)
-      || /session closed/i.test(msg)
-      || /Protocol error/i.test(msg)
-      || (err && err.type === 'closed');
-  };
-
   const runOnce = async () => {
-    // create a fresh browser instance for isolation (avoids shared-session crashes)
-    browser = await createNewBrowserInstance();
-    context = await browser.newContext({
-      userAgent: USER_AGENT,
+    // picked per attempt, so a retry moves on to the next proxy of a round-robin pool
+    const proxy = selectProxy(url, options.proxy);
+    const contextProxy = await toContextProxy(proxy);
+    // borrow a fresh context from the pooled browser; contexts are never shared between crawls
+    lease = await acquireContext({
+      userAgent: options.userAgent,
       ignoreHTTPSErrors: true,
+      extraHTTPHeaders: options.headers,
+      ...(options.viewport && { viewport: options.viewport }),
+      ...(options.locale && { locale: options.locale }),
+      // also applies to context.request, so direct body fetches leave through the same proxy
+      ...(contextProxy && { proxy: contextProxy }),
+      // requests answered by a service worker would bypass the SSRF routing
+      serviceWorkers: 'block',
     });
+    ({ context } = lease);
+    const guard = await guardContext(context);
 
-    context.setDefaultNavigationTimeout(constants.NAVIGATION_RETRY_TIMEOUT_MS);
-    context.setDefaultTimeout(constants.NAVIGATION_RETRY_TIMEOUT_MS);
-
-    // quick PDF path check by URL
-    const isPdfByUrl = /\.pdf(?:$|[?#])/i.test(targetUrl.href);
-
-    if (isPdfByUrl) {
-      logger.info(`[browserService] PDF detected, switching to pdfHandler`);
-      // pass the original requested URL to the handler; redirects will describe the final URL
-      const result = await pdfHandle({ context, url: targetUrl.href });
-      return { result, finalUrl: targetUrl.href, redirects: [targetUrl.href] };
-    }
+    context.setDefaultNavigationTimeout(options.timeoutMs);
+    context.setDefaultTimeout(options.timeoutMs);
 
-    logger.info(`[browserService] HTML detected, switching to htmlHandler`);
+    recorder = options.archive ? startWarcRecording(context, { subresources: options.archiveSubresources }) : null;
     page = await context.newPage();
-    const response = await page.goto(targetUrl.href, { waitUntil: 'domcontentloaded' });
+    const endNavigation = metrics.navigationDuration.startTimer();
+    let navigation;
+    try {
+      navigation = await navigate(page, targetUrl.href, options);
+    } catch (err) {
+      // a redirect into a refused address surfaces as an aborted navigation
+      throw guard.navigationError() ?? err;
+    }
+    let { response } = navigation;
+    const { downloaded } = navigation;
+    endNavigation();
     if (!response) throw new Error('No response received from target URL');
+    if (!downloaded && /html/i.test(response.headers()['content-type'] ?? 'text/html')) {
+      // bot challenges and interstitials: wait them out or fail as blocked instead of extracting them
+      response = await passChallenge(page, response, { url, waitUntil: options.waitUntil });
+    }
+    upstreamStatus = response.status();
+    noteHostResponse(url, upstreamStatus, response.headers()['retry-after']);
+    if (downloaded) await recorder?.addDownload(response);
+    // an error page is not the content that was asked for
+    if (upstreamStatus >= 400) throw upstreamError(upstreamStatus);
+    assertBodySize(null, Number(response.headers()['content-length']) || 0);
 
     // determine final URL after any HTTP redirects and capture the redirect chain
     let finalUrl = targetUrl.href;
@@ -98,56 +196,170 @@ async function handleCrawl(req, res) {
       redirectChain = [finalUrl];
     }
 
-    const ctype = response.headers()['content-type'] ?? '';
+    // the handler is chosen from magic bytes, Content-Disposition and Content-Type together
+    const responseHeaders = response.headers();
+    const resolved = await resolveHandler({
+      contentType: responseHeaders['content-type'],
+      contentDisposition: responseHeaders['content-disposition'],
+      readBody: () => response.body(),
+    });
+    // unknown or generic types were rendered by the browser and go to the HTML handler; a specific
+    // type nobody handles (images, archives, media) would only produce an empty page
+    if (!resolved && !isGenericContentType(responseHeaders['content-type'])) {
+      throw new CrawlError(`Unsupported content type ${responseHeaders['content-type']}`, {
+        code: 'UNSUPPORTED_TYPE',
+        details: { contentType: responseHeaders['content-type'] },
+      });
+    }
+    const handler = resolved ?? getHandler('html');
+    contentType = handler.name;
+    logger.info(`[browserService] ${contentType} detected, switching to ${contentType} handler`);
 
-    if (ctype.includes('application/pdf')) {
-      // request handlers expect the original requested URL in the `url` field; provide redirects separately
-      const result = await pdfHandle({ context, page, response, url: targetUrl.href, redirects: redirectChain });
-      return { result, finalUrl, redirects: redirectChain };
+    if (downloaded && contentType === 'html') {
+      // a downloaded HTML file was never rendered; load it into the (blank) page
+      await page.setContent(decodeText(await response.body(), responseHeaders['content-type']), { waitUntil: 'domcontentloaded' });
+    } else if (contentType === 'html' && options.waitForSelector) {
+      await page.waitForSelector(options.waitForSelector, { timeout: options.timeoutMs });
     }
+    const endExtraction = metrics.extractionDuration.startTimer({ content_type: contentType });
 
-  // Handlers should report the original requested URL in their `url` field.
-  const result = await htmlHandle({ context, page, response, url: targetUrl.href, redirects: redirectChain });
+    // Handlers should report the original requested URL in their `url` field; redirects are passed separately.
+    const result = await handler.handleRequest({ context, page, response, url: targetUrl.href, redirects: redirectChain, options });
+    endExtraction();
+    result.upstreamStatus = upstreamStatus;
+    result.proxy = describeProxy(proxy);
+    if (recorder) {
+      try {
+        result.warc = await recorder.finish();
+      } catch (err) {
+        // an archive was asked for, so a crawl that could not be archived is not a success
+        throw new CrawlError('Failed to write WARC records', { code: 'ARCHIVE_FAILED', details: { details: formatError(err) } });
+      }
+    }
     return { result, finalUrl, redirects: redirectChain };
   };
 
+  const closeResources = async ({ crashed = false } = {}) => {
+    recorder?.stop();
+    await page?.close().catch(()=>{});
+    await lease?.release({ crashed });
+    page = context = lease = recorder = undefined;
+  };
+
   try {
     try {
       const { result, finalUrl } = await runOnce();
       statusTracker.incrementSuccess(1);
+      statusTracker.crawlFinished({ durationMs: Date.now() - startedAt });
+      metrics.crawls.inc({ outcome: 'success', content_type: contentType });
+      endCrawlTimer({ outcome: 'success' });
       statusTracker.refreshSpinner({ status: 'ready', url: finalUrl, archived: true });
       logger.info(`[browserService] request completed successfully for ${url}`);
-      return res.json(result);
+      return result;
     } catch (err) {
-      // If recoverable and haven't retried yet, attempt one retry with a fresh browser
       logger.error(`[browserService] ${url}: ${formatError(err)}`);
-      if (!retried && isRecoverableError(err)) {
-        retried = true;
-        logger.warn(`[browserService] recoverable error detected, retrying request for ${url}`);
-        // close previous resources before retry
-        await Promise.all([page?.close().catch(()=>{}), context?.close().catch(()=>{}), browser?.close().catch(()=>{})]);
-        page = context = browser = undefined;
-
-        try {
-          const { result, finalUrl } = await runOnce();
-          statusTracker.incrementSuccess(1);
-          statusTracker.refreshSpinner({ status: 'ready', url: finalUrl, archived: true });
-          logger.info(`[browserService] retry succeeded for ${url}`);
-          return res.json(result);
-        } catch (err2) {
-          logger.error(`[browserService] retry failed for ${url}: ${formatError(err2)}`);
-          try { statusTracker.refreshSpinner({ status: 'ready', url: targetUrl?.href ?? url, archived: true }); } catch (_) {}
-          return res.status(500).json({ error: 'Failed to crawl URL', details: String(err2.message ?? err2) });
-        }
-      }
+      if (!isRecoverableError(err)) throw err;
 
-      // non-recoverable or already retried
-      try { statusTracker.refreshSpinner({ status: 'ready', url: targetUrl?.href ?? url, archived: true }); } catch (_) {}
-      return res.status(500).json({ error: 'Failed to crawl URL', details: String(err.message ?? err) });
+      // recoverable: attempt one retry in a fresh context (and a fresh browser if this one disconnected)
+      logger.warn(`[browserService] recoverable error detected, retrying request for ${url}`);
+      metrics.retries.inc();
+      await closeResources({ crashed: true });
+
+      try {
+        const { result, finalUrl } = await runOnce();
+        statusTracker.incrementSuccess(1);
+        statusTracker.crawlFinished({ durationMs: Date.now() - startedAt });
+        metrics.crawls.inc({ outcome: 'success', content_type: contentType });
+        endCrawlTimer({ outcome: 'success' });
+        statusTracker.refreshSpinner({ status: 'ready', url: finalUrl, archived: true });
+        logger.info(`[browserService] retry succeeded for ${url}`);
+        return result;
+      } catch (err2) {
+        logger.error(`[browserService] retry failed for ${url}: ${formatError(err2)}`);
+        await closeResources({ crashed: isRecoverableError(err2) });
+        throw err2;
+      }
     }
+  } catch (err) {
+    const failure = toCrawlError(err, { upstreamStatus });
+    const outcome = failure.code === 'BLOCKED' ? 'blocked' : 'failure';
+    statusTracker.crawlFinished({ durationMs: Date.now() - startedAt, error: failure });
+    metrics.crawls.inc({ outcome, content_type: contentType });
+    endCrawlTimer({ outcome });
+    try { statusTracker.refreshSpinner({ status: 'ready', url, archived: true }); } catch (_) {}
+    throw failure;
   } finally {
-    await Promise.all([page?.close().catch(()=>{}), context?.close().catch(()=>{}), browser?.close().catch(()=>{})]);
+    await closeResources();
+  }
+}
+
+/**
+ * Refuse targets that resolve to private or otherwise blocked addresses (403) and check robots.txt
+ * (403 CrawlError when disallowed, unless `options.ignoreRobots` is permitted),
+ * then crawl once the per-host scheduler lets the request through.
+ */
+async function performCrawl(targetUrl, options) {
+  await assertPublicUrl(targetUrl.href);
+  // robots.txt is fetched through the same proxy choice as the crawl it gates
+  const robotsOptions = { ignoreRobots: options.ignoreRobots === true, proxy: options.proxy ?? null };
+  await assertAllowedByRobots(targetUrl.href, robotsOptions);
+  return withHostSlot(targetUrl.href, robotsOptions, () => crawlPage(targetUrl, options));
+}
+
+/**
+ * Crawl a URL, serving from the result cache when possible.
+ * `crawlOptions` are the per-request crawl options (see parseCrawlOptions); missing fields use the defaults.
+ * Returns the handler result plus a `cache` field describing where it came from, `formats` when
+ * `options.format` asks for more than markdown, and `chunks` when `options.chunks` is set
+ * (computed after the cache, so all chunk sizes share one entry).
+ */
+async function crawlUrl(targetUrl, crawlOptions = {}) {
+  const options = { ...defaultCrawlOptions(), ...crawlOptions };
+  const { html, ...result } = await crawlWithCache(targetUrl, options, performCrawl);
+
+  const formats = options.format ?? ['markdown'];
+  if (formats.length !== 1 || formats[0] !== 'markdown') {
+    result.formats = buildFormats({ ...result, html }, formats);
+  }
+  if (options.chunks) {
+    result.chunks = chunkMarkdown(result.markdown, { maxChars: options.chunkMaxChars, overlap: options.chunkOverlap });
+  }
+  return result;
+}
+
+/**
+ * Express handler for GET/POST /crawl.
+ */
+async function handleCrawl(req, res) {
+  // accept url from query (GET) or body (POST form/json/urlencoded)
+  const rawUrl = req.body?.url ?? req.query?.url;
+  let targetUrl;
+  try {
+    targetUrl = parseTargetUrl(rawUrl, {
+      missingMessage: req.method === 'GET' ? 'Missing url query parameter' : 'Missing url parameter',
+    });
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message });
+  }
+
+  let options;
+  try {
+    // `format` is also accepted as its own parameter, e.g. GET /crawl?url=…&format=text,html
+    options = parseCrawlOptions(req.body?.options ?? req.query?.options, { format: req.body?.format ?? req.query?.format });
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message, ...err.details });
+  }
+
+  logger.info(`[browserService] received crawl request for ${targetUrl.href}`);
+
+  try {
+    const result = await crawlUrl(targetUrl, options);
+    if (req.apiKey) assertRedirectsAllowed(result, (url) => isDomainAllowed(req.apiKey, url));
+    return res.json(result);
+  } catch (err) {
+    const failure = toCrawlError(err);
+    return res.status(failure.statusCode).json({ error: failure.message, ...failure.details });
   }
 }
 
-export { handleCrawl };
+export { crawlUrl, handleCrawl, parseTargetUrl };
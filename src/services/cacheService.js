@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError, formatError } from '../utils/errors.js';
+import { sanitizeUrl } from '../utils/markdown.js';
+import { acquireContext } from './browserManager.js';
+import { assertAllowedByRobots } from './robotsService.js';
+import { noteHostResponse, withHostSlot } from './hostScheduler.js';
+import { selectProxy, toContextProxy } from './proxyService.js';
+import { requestPublicUrl } from '../utils/ssrfGuard.js';
+
+// options that change how a crawl is performed, or only post-process its result, but not what it returns
+const KEY_EXCLUDED_OPTIONS = ['cache', 'ignoreRobots', 'format', 'chunks', 'chunkMaxChars', 'chunkOverlap'];
+
+const entries = new Map(); // key -> { result, fetchedAt, validatedAt }; Map order doubles as LRU order
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Normalized URL used in cache keys: tracking parameters and fragments removed, query sorted.
+ */
+export function normalizeCacheUrl(url) {
+  const normalized = new URL(sanitizeUrl(url));
+  normalized.searchParams.sort();
+  return normalized.href;
+}
+
+/**
+ * Cache key for a crawl of `url` with `options`. Formats are rendered from the cached result, so
+ * only whether the crawl had to keep the page's HTML (the `html` format) is part of the key.
+ */
+export function cacheKey(url, options = {}) {
+  const relevant = Object.fromEntries(Object.entries(options).filter(([key]) => !KEY_EXCLUDED_OPTIONS.includes(key)));
+  if (options.format?.includes('html')) relevant.keepHtml = true;
+  return `${normalizeCacheUrl(url)} ${stableStringify(relevant)}`;
+}
+
+const remember = (key, entry) => {
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > config.cache.maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+const describe = (status, entry) => ({
+  hit: status === 'hit' || status === 'revalidated',
+  status,
+  fetchedAt: new Date(entry.fetchedAt).toISOString(),
+  validatedAt: new Date(entry.validatedAt).toISOString(),
+  ageSeconds: Math.max(0, Math.round((Date.now() - entry.validatedAt) / 1000)),
+});
+
+// artifact downloads are pruned after ARTIFACT_TTL_MS and a WARC belongs to one capture, so a 304
+// must not extend such a result past its first TTL
+const hasCaptures = (result) => Boolean(result.warc)
+  || Object.values(result.artifacts ?? {}).some((artifact) => artifact?.url);
+
+/**
+ * Ask the origin whether the cached representation is still current.
+ * The conditional request waits for a host slot like a crawl and reports its status to the scheduler.
+ * Returns true on 304 Not Modified and false otherwise; network errors are thrown.
+ */
+const revalidate = async (url, entry, options) => {
+  const { etag, 'last-modified': lastModified } = entry.result.headers ?? {};
+  if ((!etag && !lastModified) || hasCaptures(entry.result)) return false;
+
+  const robotsOptions = { ignoreRobots: options.ignoreRobots === true, proxy: options.proxy ?? null };
+  await assertAllowedByRobots(url, robotsOptions);
+  return withHostSlot(url, robotsOptions, () => requestNotModified(url, { etag, lastModified }, options));
+};
+
+const requestNotModified = async (url, { etag, lastModified }, options) => {
+  const contextProxy = await toContextProxy(selectProxy(url, options.proxy));
+  const lease = await acquireContext({
+    userAgent: options.userAgent,
+    ignoreHTTPSErrors: true,
+    extraHTTPHeaders: options.headers,
+    ...(contextProxy && { proxy: contextProxy }),
+  });
+  try {
+    const resp = await requestPublicUrl(lease.context.request, url, {
+      headers: {
+        ...(etag && { 'if-none-match': etag }),
+        ...(lastModified && { 'if-modified-since': lastModified }),
+      },
+      timeout: options.timeoutMs,
+      failOnStatusCode: false,
+    });
+    noteHostResponse(url, resp.status(), resp.headers()['retry-after']);
+    // only the status matters; a changed document is re-crawled through the browser
+    await resp.dispose().catch(() => {});
+    return resp.status() === 304;
+  } finally {
+    await lease.release();
+  }
+};
+
+/**
+ * Run `crawl(targetUrl, options)` behind a result cache keyed by normalized URL and crawl options.
+ * Fresh entries (younger than CACHE_TTL_MS) are served directly. Stale entries are revalidated
+ * with If-None-Match / If-Modified-Since and served again on 304. Everything else is crawled, including
+ * stale results that carry artifact download URLs or a WARC.
+ * `options.cache === false` skips the lookup but still refreshes the stored entry.
+ * Returns the crawl result with a `cache` field: { hit, status, fetchedAt, validatedAt, ageSeconds }
+ */
+export async function crawlWithCache(targetUrl, options, crawl) {
+  const url = targetUrl.href;
+  if (!config.cache.enabled) return crawl(targetUrl, options);
+
+  const key = cacheKey(url, options);
+  const entry = entries.get(key);
+  const now = Date.now();
+
+  if (entry && options.cache !== false) {
+    if (now - entry.validatedAt < config.cache.ttlMs) {
+      remember(key, entry);
+      logger.info(`[cache] hit for ${url}`);
+      return { ...entry.result, cache: describe('hit', entry) };
+    }
+
+    try {
+      if (await revalidate(url, entry, options)) {
+        entry.validatedAt = Date.now();
+        remember(key, entry);
+        logger.info(`[cache] ${url} not modified, serving cached result`);
+        return { ...entry.result, cache: describe('revalidated', entry) };
+      }
+    } catch (err) {
+      // robots.txt refusals must surface; other revalidation failures fall through to a full crawl
+      if (err instanceof CrawlError && err.code === 'ROBOTS_DISALLOWED') throw err;
+      logger.warn(`[cache] revalidation failed for ${url}: ${formatError(err)}`);
+    }
+  }
+
+  const result = await crawl(targetUrl, options);
+  const fresh = { result, fetchedAt: Date.now(), validatedAt: Date.now() };
+  remember(key, fresh);
+  return { ...result, cache: describe(options.cache === false ? 'bypass' : 'miss', fresh) };
+}
+
+/**
+ * Drop every cached result (e.g. after changing extraction rules).
+ */
+export function clearCache() {
+  entries.clear();
+}
+
+export function getCacheStats() {
+  return { enabled: config.cache.enabled, entries: entries.size, maxEntries: config.cache.maxEntries, ttlMs: config.cache.ttlMs };
+}
@@ -0,0 +1,193 @@
+// Bot-challenge and interstitial detection. Known vendor pages are recognised by title, DOM markers,
+// body text and response headers; JS challenges get a few wait-and-refresh rounds before the crawl
+// is reported as blocked, so "Just a moment..." never reaches markdown, the cache or watch history.
+import { logger } from '../utils/logger.js';
+import { config, constants } from '../utils/config.js';
+import { CrawlError } from '../utils/errors.js';
+
+// `passable` challenges clear themselves in a real browser after a few seconds; the rest need a human.
+// `interstitialOnly` markers also appear on ordinary pages, short ones included (login-form captchas,
+// WAF SDKs, scripts CDNs inject into pages they let through), so they only count on challenge statuses
+// (403, 429, 503). Header markers only count on those statuses too, since CDN headers are on every response.
+const SIGNATURES = [
+  {
+    vendor: 'cloudflare',
+    passable: true,
+    titles: [/^just a moment\.*$/i, /^checking your browser/i],
+    selectors: ['#challenge-running', '#cf-challenge-running', '#challenge-form', '.cf-browser-verification'],
+    headers: [['cf-mitigated', /challenge/i]],
+  },
+  {
+    // Cloudflare also injects the challenge platform script into pages it lets through
+    vendor: 'cloudflare',
+    passable: true,
+    interstitialOnly: true,
+    selectors: ['script[src*="/cdn-cgi/challenge-platform/"]'],
+  },
+  {
+    vendor: 'cloudflare',
+    passable: false,
+    titles: [/attention required! \| cloudflare/i, /used cloudflare to restrict access/i],
+    selectors: ['#cf-error-details', '.cf-error-overview'],
+  },
+  {
+    vendor: 'akamai',
+    passable: true,
+    selectors: ['#sec-if-cpt-container', '#sec-cpt-if', 'script[src*="/_sec/cp_challenge/"]'],
+    texts: [/powered and protected by akamai/i],
+  },
+  {
+    vendor: 'akamai',
+    passable: false,
+    texts: [/you don't have permission to access[\s\S]*reference #\d+\.[0-9a-f]+\.\d+/i],
+    headers: [['server', /akamaighost/i]],
+  },
+  {
+    vendor: 'perimeterx',
+    passable: false,
+    titles: [/^access to this page has been denied\.?$/i],
+    selectors: ['#px-captcha', '#px-captcha-wrapper'],
+  },
+  {
+    vendor: 'datadome',
+    passable: false,
+    selectors: ['iframe[src*="captcha-delivery.com"]', 'script[src*="ct.captcha-delivery.com"]'],
+    headers: [['x-datadome', /./], ['x-dd-b', /./]],
+  },
+  {
+    vendor: 'imperva',
+    passable: false,
+    selectors: ['iframe[src*="_Incapsula_Resource"]'],
+    texts: [/incapsula incident id/i],
+  },
+  {
+    // the Incapsula script is on every Imperva-protected page, blocked or not
+    vendor: 'imperva',
+    passable: false,
+    interstitialOnly: true,
+    selectors: ['script[src*="_Incapsula_Resource"]'],
+  },
+  {
+    vendor: 'sucuri',
+    passable: false,
+    titles: [/sucuri website firewall/i],
+  },
+  {
+    vendor: 'ddos-guard',
+    passable: true,
+    titles: [/^ddos-guard$/i],
+    texts: [/ddos protection by ddos-guard/i],
+  },
+  {
+    vendor: 'aws-waf',
+    passable: true,
+    interstitialOnly: true,
+    selectors: ['script[src*="awswaf.com"]'],
+  },
+  {
+    vendor: 'captcha',
+    passable: false,
+    interstitialOnly: true,
+    selectors: ['.g-recaptcha', 'iframe[src*="/recaptcha/"]', '.h-captcha', 'iframe[src*="hcaptcha.com"]', '.cf-turnstile'],
+  },
+];
+const MARKER_SELECTORS = [...new Set(SIGNATURES.flatMap((signature) => signature.selectors ?? []))];
+const CHALLENGE_STATUSES = [403, 429, 503];
+const TEXT_SAMPLE_CHARS = 4000;
+
+/**
+ * Match a page snapshot against the known challenge signatures.
+ * `selectors` are the marker selectors present in the DOM; `text` is (the start of) the body text.
+ * Returns { vendor, passable, signal } or null.
+ */
+export function detectChallenge({ status = 200, headers = {}, title = '', selectors = [], text = '' }) {
+  const challengeStatus = CHALLENGE_STATUSES.includes(status);
+  const present = new Set(selectors);
+  const trimmedTitle = String(title ?? '').trim();
+
+  for (const signature of SIGNATURES) {
+    if (signature.interstitialOnly && !challengeStatus) continue;
+    const header = challengeStatus ? signature.headers?.find(([name, pattern]) => pattern.test(headers[name] ?? '')) : null;
+    let signal = null;
+    if (signature.titles?.some((pattern) => pattern.test(trimmedTitle))) signal = `title "${trimmedTitle}"`;
+    else signal = signature.selectors?.find((selector) => present.has(selector))
+      ?? (signature.texts?.some((pattern) => pattern.test(text)) ? 'body text' : null)
+      ?? (header ? `${header[0]} header` : null);
+    if (signal) return { vendor: signature.vendor, passable: signature.passable, signal };
+  }
+  return null;
+}
+
+const inspect = async (page, response, { retry = true } = {}) => {
+  const snapshot = await page.evaluate(({ selectors, sampleChars }) => {
+    const text = document.body?.innerText ?? '';
+    const present = selectors.filter((selector) => {
+      try {
+        return Boolean(document.querySelector(selector));
+      } catch (_) {
+        return false;
+      }
+    });
+    return { title: document.title, selectors: present, text: text.slice(0, sampleChars) };
+  }, { selectors: MARKER_SELECTORS, sampleChars: TEXT_SAMPLE_CHARS }).catch(async (err) => {
+    // the challenge may navigate while we look; look again once the new document is in
+    if (!retry) throw err;
+    await page.waitForLoadState('domcontentloaded').catch(() => {});
+    return null;
+  });
+  if (!snapshot) return inspect(page, response, { retry: false });
+  return detectChallenge({ status: response.status(), headers: response.headers(), ...snapshot });
+};
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Check the loaded page for a bot challenge. Passable (JS) challenges are given CHALLENGE_WAIT_MS
+ * to clear themselves, then the page is reloaded, up to CHALLENGE_MAX_REFRESHES times.
+ * Returns the response of the page that finally loaded (the challenge may have navigated away);
+ * throws a BLOCKED CrawlError naming the vendor when the challenge remains.
+ */
+export async function passChallenge(page, response, { url, waitUntil } = {}) {
+  if (!config.challenges.enabled) return response;
+
+  let current = response;
+  // challenge scripts navigate the main frame themselves once they are satisfied
+  const onResponse = (resp) => {
+    try {
+      if (resp.request().isNavigationRequest() && resp.frame() === page.mainFrame()) current = resp;
+    } catch (_) {}
+  };
+  page.on('response', onResponse);
+
+  try {
+    let challenge = await inspect(page, current);
+    for (let attempt = 1; challenge?.passable && attempt <= constants.CHALLENGE_MAX_REFRESHES; attempt += 1) {
+      logger.info(`[challenge] ${challenge.vendor} challenge on ${url} (${challenge.signal}), waiting (attempt ${attempt})`);
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(config.challenges.waitMs);
+      // eslint-disable-next-line no-await-in-loop
+      await page.waitForLoadState(waitUntil === 'commit' ? 'domcontentloaded' : waitUntil).catch(() => {});
+      // eslint-disable-next-line no-await-in-loop
+      challenge = await inspect(page, current).catch(() => challenge);
+      if (!challenge) break;
+
+      // eslint-disable-next-line no-await-in-loop
+      const reloaded = await page.reload({ waitUntil }).catch(() => null);
+      if (reloaded) current = reloaded;
+      // eslint-disable-next-line no-await-in-loop
+      challenge = await inspect(page, current).catch(() => challenge);
+    }
+
+    if (challenge) {
+      logger.warn(`[challenge] ${url} is blocked by a ${challenge.vendor} challenge (${challenge.signal})`);
+      throw new CrawlError('Blocked by bot challenge', {
+        code: 'BLOCKED',
+        details: { vendor: challenge.vendor, upstreamStatus: current.status() },
+      });
+    }
+    if (current !== response) logger.info(`[challenge] challenge on ${url} cleared`);
+    return current;
+  } finally {
+    page.off('response', onResponse);
+  }
+}
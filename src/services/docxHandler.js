@@ -0,0 +1,38 @@
+import mammoth from 'mammoth';
+import { convertHtmlToMarkdown } from '../utils/markdown.js';
+import { buildResult, readBody } from './handlerSupport.js';
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// mammoth inlines images as data URIs by default; drop them so the markdown stays text
+const dropImages = mammoth.images.imgElement(async () => ({ src: '' }));
+
+/**
+ * Convert a DOCX buffer to markdown (DOCX -> HTML with mammoth, then Turndown).
+ * Returns { markdown, html, metadata }
+ */
+export async function convertDocxBuffer(buffer) {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer }, { convertImage: dropImages });
+  const markdown = convertHtmlToMarkdown(html);
+  return {
+    markdown,
+    html,
+    metadata: {
+      title: /^#\s+(.+)$/m.exec(markdown)?.[1] ?? null,
+      fileSize: buffer.length,
+      warnings: messages.filter((message) => message.type === 'warning').length,
+    },
+  };
+}
+
+/**
+ * Handler entry point for Word documents; same contract as the PDF handler.
+ */
+export async function handleRequest({ context, response = null, url, redirects = [], options = {} }) {
+  const { buffer, headers, status } = await readBody({ context, response, url, options, accept: `${DOCX_CONTENT_TYPE},*/*;q=0.8` });
+  const { markdown, html, metadata } = await convertDocxBuffer(buffer);
+  const result = buildResult({ url, redirects, markdown, contentType: DOCX_CONTENT_TYPE, status, headers, metadata });
+  // kept for the html output format
+  if (options.format?.includes('html')) result.html = html;
+  return result;
+}
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { formatError } from '../utils/errors.js';
+import { compileHostPattern } from '../utils/hostPatterns.js';
+import { clearCache } from './cacheService.js';
+
+const SELECTOR_LIST_FIELDS = ['contentSelector', 'strip', 'keep'];
+const SELECTOR_FIELDS = ['titleSelector', 'dateSelector'];
+
+let state = { rules: [], loadedAt: null, mtimeMs: null, error: null };
+let lastCheckAt = 0;
+
+const toList = (value) => [].concat(value ?? []).map((item) => String(item).trim()).filter(Boolean);
+
+/**
+ * Validate the parsed rules file. Throws an Error naming the first invalid rule.
+ */
+const compileRules = (document) => {
+  const list = Array.isArray(document) ? document : document?.rules;
+  if (!Array.isArray(list)) throw new Error('rules file must be an array or { "rules": [...] }');
+
+  return list.map((rule, index) => {
+    const hosts = toList(rule?.hosts ?? rule?.host);
+    if (!hosts.length) throw new Error(`rule ${index} needs "hosts"`);
+    const compiled = { hosts, matchers: hosts.map(compileHostPattern) };
+    SELECTOR_LIST_FIELDS.forEach((field) => {
+      const value = toList(rule[field]);
+      if (value.length) compiled[field] = value;
+    });
+    SELECTOR_FIELDS.forEach((field) => {
+      if (rule[field] === undefined) return;
+      if (typeof rule[field] !== 'string' || !rule[field].trim()) throw new Error(`rule ${index}: ${field} must be a selector string`);
+      compiled[field] = rule[field].trim();
+    });
+    return compiled;
+  });
+};
+
+/**
+ * (Re)load the rules file. A missing file means no rules; an invalid file keeps the previous rules.
+ * Cached crawl results are dropped when the rules change.
+ * Returns the rules summary (see getRulesSummary); throws when the file is invalid.
+ */
+export function reloadExtractionRules() {
+  const file = config.extractionRules.file;
+  lastCheckAt = Date.now();
+
+  if (!fs.existsSync(file)) {
+    const changed = state.rules.length > 0;
+    state = { rules: [], loadedAt: new Date().toISOString(), mtimeMs: null, error: null };
+    if (changed) clearCache();
+    return getRulesSummary();
+  }
+
+  const { mtimeMs } = fs.statSync(file);
+  try {
+    const rules = compileRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    state = { rules, loadedAt: new Date().toISOString(), mtimeMs, error: null };
+    clearCache();
+    logger.info(`[rules] loaded ${rules.length} extraction rules from ${file}`);
+    return getRulesSummary();
+  } catch (err) {
+    // remember the mtime so a broken file is not re-parsed on every crawl
+    state = { ...state, mtimeMs, error: String(err.message ?? err) };
+    logger.error(`[rules] could not load ${file}, keeping previous rules: ${formatError(err)}`);
+    throw err;
+  }
+}
+
+// pick up edits to the rules file without a restart; the file is stat'ed at most every EXTRACTION_RULES_CHECK_MS
+const refreshIfChanged = () => {
+  if (Date.now() - lastCheckAt < config.extractionRules.checkIntervalMs) return;
+  lastCheckAt = Date.now();
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(config.extractionRules.file).mtimeMs;
+  } catch (_) {
+    // missing file
+  }
+  if (mtimeMs === state.mtimeMs && state.loadedAt) return;
+  try {
+    reloadExtractionRules();
+  } catch (_) {
+    // already logged; previous rules stay active
+  }
+};
+
+/**
+ * Extraction rule for a URL: every matching rule merged in file order. Selector lists are
+ * concatenated; for title/date selectors the first rule that sets one wins.
+ * Returns null when no rule matches.
+ */
+export function getRulesForUrl(url) {
+  refreshIfChanged();
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return null;
+  }
+
+  const matching = state.rules.filter((rule) => rule.matchers.some((matches) => matches(host)));
+  if (!matching.length) return null;
+  return matching.reduce((merged, rule) => {
+    SELECTOR_LIST_FIELDS.forEach((field) => {
+      if (rule[field]) merged[field] = [...(merged[field] ?? []), ...rule[field]];
+    });
+    SELECTOR_FIELDS.forEach((field) => {
+      if (rule[field] && !merged[field]) merged[field] = rule[field];
+    });
+    return merged;
+  }, {});
+}
+
+export function getRulesSummary() {
+  return {
+    file: config.extractionRules.file,
+    loadedAt: state.loadedAt,
+    error: state.error,
+    rules: state.rules.map(({ matchers, ...rule }) => rule),
+  };
+}
+
+/**
+ * Express handler for GET /rules.
+ */
+export async function handleGetRules(_req, res) {
+  refreshIfChanged();
+  return res.json(getRulesSummary());
+}
+
+/**
+ * Express handler for POST /rules/reload.
+ */
+export async function handleReloadRules(_req, res) {
+  try {
+    return res.json(reloadExtractionRules());
+  } catch (err) {
+    return res.status(422).json({ error: 'Invalid extraction rules file', details: String(err.message ?? err) });
+  }
+}
@@ -0,0 +1,242 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { formatError } from '../utils/errors.js';
+import { handleRequest as htmlHandle } from './htmlHandler.js';
+import { handleRequest as pdfHandle } from './pdfHandler.js';
+import { handleRequest as docxHandle } from './docxHandler.js';
+import { createTextHandler } from './textHandler.js';
+
+// MIME types that say nothing about the content; bodies served with them are sniffed
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/download', 'application/force-download'];
+
+const handlers = []; // most recently registered first, so custom handlers override built-ins
+
+const toBytes = (value) => (typeof value === 'string' ? Buffer.from(value, 'latin1') : Buffer.from(value));
+
+// magic is either a predicate (buffer) => boolean or a list of { offset, bytes } signatures
+const compileMagic = (magic) => {
+  if (!magic) return null;
+  if (typeof magic === 'function') return magic;
+  const signatures = [].concat(magic).map((signature) => (
+    typeof signature === 'object' && !Buffer.isBuffer(signature) && !Array.isArray(signature)
+      ? { offset: signature.offset ?? 0, bytes: toBytes(signature.bytes) }
+      : { offset: 0, bytes: toBytes(signature) }
+  ));
+  return (buffer) => signatures.some(({ offset, bytes }) => buffer.subarray(offset, offset + bytes.length).equals(bytes));
+};
+
+// "application/*+xml" style patterns; everything else must match exactly
+const mimePattern = (type) => new RegExp(`^${type.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*')}$`);
+
+const mimeOf = (contentType) => String(contentType ?? '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Whether a Content-Type is missing or says nothing about the content (application/octet-stream and friends).
+ */
+export const isGenericContentType = (contentType) => GENERIC_MIME_TYPES.includes(mimeOf(contentType));
+
+/**
+ * Register a content handler. A definition is
+ *   { name, mimeTypes?, extensions?, magic?, binary?, handleRequest }
+ * where `handleRequest({ context, page, response, url, redirects, options })` returns the crawl result,
+ * `mimeTypes` may contain wildcards ("application/*+xml") and `magic` is a predicate over the body
+ * or a list of byte signatures ({ offset, bytes }). With `binary: true` a magic match overrides the
+ * declared content type; other magic only applies when the server gave no usable type.
+ * Registering an existing name replaces it.
+ */
+export function registerHandler(definition) {
+  const { name, mimeTypes = [], extensions = [], magic = null, binary = false, handleRequest } = definition ?? {};
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Content handler needs a name');
+  if (typeof handleRequest !== 'function') throw new Error(`Content handler "${name}" needs a handleRequest function`);
+  if (!mimeTypes.length && !extensions.length && !magic) {
+    throw new Error(`Content handler "${name}" must declare mimeTypes, extensions or magic`);
+  }
+
+  const types = mimeTypes.map((type) => type.toLowerCase());
+  const handler = {
+    name,
+    mimeTypes: types,
+    exactTypes: types.filter((type) => !type.includes('*')),
+    typePatterns: types.filter((type) => type.includes('*')).map(mimePattern),
+    extensions: extensions.map((extension) => extension.toLowerCase().replace(/^\./, '')),
+    matchesMagic: compileMagic(magic),
+    binary: Boolean(binary && magic),
+    handleRequest,
+  };
+  unregisterHandler(name);
+  handlers.unshift(handler);
+  return handler;
+}
+
+export function unregisterHandler(name) {
+  const index = handlers.findIndex((handler) => handler.name === name);
+  if (index !== -1) handlers.splice(index, 1);
+}
+
+export function getHandler(name) {
+  return handlers.find((handler) => handler.name === name) ?? null;
+}
+
+export function listHandlers() {
+  return handlers.map(({ name, mimeTypes, extensions, matchesMagic, binary }) => ({
+    name,
+    mimeTypes,
+    extensions,
+    magic: Boolean(matchesMagic),
+    binary,
+  }));
+}
+
+/**
+ * Handler registered for a file name's extension, or null.
+ */
+export function handlerForFilename(filename) {
+  const extension = /\.([a-z0-9]+)$/i.exec(String(filename ?? '').trim())?.[1]?.toLowerCase();
+  if (!extension) return null;
+  return handlers.find((handler) => handler.extensions.includes(extension)) ?? null;
+}
+
+/**
+ * File name from a Content-Disposition header (RFC 6266 `filename*` preferred), or null.
+ */
+export function dispositionFilename(contentDisposition) {
+  const header = String(contentDisposition ?? '');
+  const extended = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(header)?.[1];
+  if (extended) {
+    try {
+      return decodeURIComponent(extended.trim());
+    } catch (_) {
+      return extended.trim();
+    }
+  }
+  return /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(header)?.slice(1).find(Boolean)?.trim() ?? null;
+}
+
+/**
+ * Handler for the body's magic bytes, or null. With `binaryOnly`, only handlers whose
+ * signatures are reliable enough to override a declared content type are considered.
+ */
+export function handlerForBytes(buffer, { binaryOnly = false } = {}) {
+  if (!buffer?.length) return null;
+  return handlers.find((handler) => (!binaryOnly || handler.binary) && handler.matchesMagic?.(buffer)) ?? null;
+}
+
+/**
+ * Pick the handler for a response from its headers and body, strongest signal first:
+ *   1. binary magic bytes (a PDF is a PDF whatever the server calls it)
+ *   2. the Content-Disposition file name
+ *   3. the Content-Type, exact then wildcard, unless it is generic such as application/octet-stream
+ *   4. text magic (JSON, XML prolog)
+ * `readBody` returns the body (Buffer) or null when it cannot be read.
+ * Returns a handler, or null when nothing matches (callers fall back to HTML).
+ */
+export async function resolveHandler({ contentType, contentDisposition, readBody }) {
+  const body = readBody ? await readBody().catch(() => null) : null;
+
+  const binary = handlerForBytes(body, { binaryOnly: true });
+  if (binary) return binary;
+
+  const byFilename = handlerForFilename(dispositionFilename(contentDisposition));
+  if (byFilename) return byFilename;
+
+  const mime = mimeOf(contentType);
+  if (!GENERIC_MIME_TYPES.includes(mime)) {
+    const byType = handlers.find((handler) => handler.exactTypes.includes(mime))
+      ?? handlers.find((handler) => handler.typePatterns.some((pattern) => pattern.test(mime)));
+    if (byType) return byType;
+  }
+
+  return handlerForBytes(body);
+}
+
+/**
+ * Import the modules listed in CONTENT_HANDLERS and register what they export.
+ * A module's default export may be a handler definition, an array of them, or a function
+ * that receives `registerHandler`. Failures are logged and do not stop the server.
+ */
+export async function loadHandlerModules(specifiers = config.handlers.modules) {
+  for (const specifier of specifiers) {
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    const target = isPath ? pathToFileURL(path.resolve(config.projectRoot, specifier)).href : specifier;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const { default: exported } = await import(target);
+      if (typeof exported === 'function') await exported(registerHandler);
+      else [].concat(exported ?? []).forEach(registerHandler);
+      logger.info(`[handlers] loaded ${specifier}`);
+    } catch (err) {
+      logger.error(`[handlers] could not load ${specifier}: ${formatError(err)}`);
+    }
+  }
+}
+
+const looksLikeJson = (buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (!text.startsWith('{') && !text.startsWith('[')) return false;
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const looksLikeXml = (buffer) => /^(?:\uFEFF)?\s*<\?xml[\s?]/.test(buffer.subarray(0, 256).toString('utf8'));
+
+// DOCX is a ZIP whose central directory lists word/document.xml
+const looksLikeDocx = (buffer) => buffer.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))
+  && buffer.includes('word/document.xml');
+
+// built-ins, registered least specific first; later registrations are matched first
+registerHandler({
+  name: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['html', 'htm'],
+  handleRequest: htmlHandle,
+});
+registerHandler({ name: 'text', mimeTypes: ['text/plain'], extensions: ['txt'], handleRequest: createTextHandler('text') });
+registerHandler({
+  name: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['md', 'markdown'],
+  handleRequest: createTextHandler('markdown'),
+});
+registerHandler({
+  name: 'csv',
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extensions: ['csv', 'tsv'],
+  handleRequest: createTextHandler('csv'),
+});
+registerHandler({
+  name: 'xml',
+  mimeTypes: ['application/xml', 'text/xml', '*/*+xml'],
+  extensions: ['xml'],
+  magic: looksLikeXml,
+  handleRequest: createTextHandler('xml'),
+});
+registerHandler({
+  name: 'json',
+  mimeTypes: ['application/json', 'text/json', '*/*+json'],
+  extensions: ['json'],
+  magic: looksLikeJson,
+  handleRequest: createTextHandler('json'),
+});
+registerHandler({
+  name: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['docx'],
+  magic: looksLikeDocx,
+  binary: true,
+  handleRequest: docxHandle,
+});
+registerHandler({
+  name: 'pdf',
+  mimeTypes: ['application/pdf', 'application/x-pdf'],
+  extensions: ['pdf'],
+  // readers accept up to 1 KB of leading junk before the header
+  magic: (buffer) => buffer.subarray(0, 1024).includes('%PDF-'),
+  binary: true,
+  handleRequest: pdfHandle,
+});
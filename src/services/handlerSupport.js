@@ -0,0 +1,75 @@
+import { createHash } from 'crypto';
+import { config, constants } from '../utils/config.js';
+import { CrawlError, upstreamError } from '../utils/errors.js';
+import { requestPublicUrl } from '../utils/ssrfGuard.js';
+
+/**
+ * Throw TOO_LARGE when a body (or its declared `length`) exceeds CRAWL_MAX_BODY_BYTES; returns the body otherwise.
+ */
+export function assertBodySize(buffer, length = buffer.length) {
+  if (length > config.maxBodyBytes) {
+    throw new CrawlError('Response body too large', { code: 'TOO_LARGE', details: { bytes: length, limitBytes: config.maxBodyBytes } });
+  }
+  return buffer;
+}
+
+/**
+ * Read a response body for handlers that convert raw bytes rather than a rendered page.
+ * Uses the navigation response when it has a body, otherwise fetches `url` through the context.
+ * Returns { buffer, headers, status }
+ */
+export async function readBody({ context, response = null, url, options = {}, accept = '*/*' }) {
+  if (response) {
+    try {
+      const body = await response.body();
+      if (body?.length) return { buffer: Buffer.from(body), headers: response.headers(), status: response.status() };
+    } catch (_) {
+      // the page may have been navigated away or the body evicted; fall through to a direct fetch
+    }
+  }
+
+  const resp = await requestPublicUrl(context.request, url, {
+    headers: {
+      ...options.headers,
+      'user-agent': options.userAgent ?? constants.DEFAULT_USER_AGENT,
+      accept,
+    },
+    ...(options.timeoutMs && { timeout: options.timeoutMs }),
+  });
+  if (!resp.ok()) throw upstreamError(resp.status());
+  // resp.body() buffers everything, so refuse a declared oversize body before reading it
+  assertBodySize(null, Number(resp.headers()['content-length']) || 0);
+  const buffer = assertBodySize(Buffer.from(await resp.body()));
+  return { buffer, headers: resp.headers(), status: resp.status() };
+}
+
+/**
+ * Decode a body using the charset from its content-type (UTF-8 when missing or unknown).
+ */
+export function decodeText(buffer, contentType = '') {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] ?? 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (_) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Response-shaped object shared by the non-HTML handlers: { url, hash, headers, metadata, redirects, markdown }
+ */
+export function buildResult({ url, redirects = [], markdown, contentType, status = 200, headers = {}, metadata = {} }) {
+  return {
+    url,
+    hash: createHash('sha256').update(markdown).digest('hex'),
+    headers: {
+      'content-type': contentType,
+      status,
+      etag: headers.etag ?? null,
+      'last-modified': headers['last-modified'] ?? null,
+    },
+    metadata,
+    redirects,
+    markdown,
+  };
+}
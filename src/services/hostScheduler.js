@@ -0,0 +1,122 @@
+// Per-host politeness: caps concurrent crawls per host, spaces request starts by
+// HOST_REQUESTS_PER_SECOND or the robots.txt Crawl-delay, and pauses a host after 429/503.
+// Throttled crawls wait in a FIFO queue instead of failing.
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { createSemaphore } from '../utils/semaphore.js';
+import { checkRobots } from './robotsService.js';
+
+const BACKOFF_STATUSES = [429, 503];
+
+const hosts = new Map(); // host -> { slots, nextStartAt, backoffUntil, backoffCount }
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+// keyed by full hostname: www.example.com and example.com may be served by different machines
+const hostKey = (url) => new URL(url).hostname.toLowerCase();
+
+const getState = (host) => {
+  let state = hosts.get(host);
+  if (!state) {
+    state = { slots: createSemaphore(config.hosts.maxConcurrent), nextStartAt: 0, backoffUntil: 0, backoffCount: 0 };
+    hosts.set(host, state);
+  }
+  return state;
+};
+
+// forget hosts that are idle and whose spacing and backoff have run out
+const pruneHosts = () => {
+  const now = Date.now();
+  hosts.forEach((state, host) => {
+    if (!state.slots.active && !state.slots.waiting && state.nextStartAt <= now && state.backoffUntil <= now) hosts.delete(host);
+  });
+};
+
+/**
+ * Seconds or an HTTP date from a Retry-After header, as milliseconds from now; null when absent or invalid.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// minimum gap between request starts: the configured rate or Crawl-delay, whichever is slower
+const intervalFor = async (url, { ignoreRobots, proxy }) => {
+  const rateInterval = config.hosts.requestsPerSecond > 0 ? 1000 / config.hosts.requestsPerSecond : 0;
+  if (!config.robots.enabled || (ignoreRobots && config.robots.allowOverride)) return rateInterval;
+  const { crawlDelay } = await checkRobots(url, { proxy });
+  const delayInterval = crawlDelay ? Math.min(crawlDelay * 1000, config.hosts.maxCrawlDelayMs) : 0;
+  return Math.max(rateInterval, delayInterval);
+};
+
+/**
+ * Run `task` once the host of `url` has a free slot and its next start time has come.
+ * Start times are reserved before sleeping, so queued crawls leave in order at the configured pace.
+ */
+export async function withHostSlot(url, { ignoreRobots = false, proxy = null } = {}, task) {
+  const interval = await intervalFor(url, { ignoreRobots, proxy });
+  // pruning, lookup and queueing happen without yielding, so a host cannot be pruned under a queued crawl
+  pruneHosts();
+  const host = hostKey(url);
+  const state = getState(host);
+
+  const release = await state.slots.acquire();
+  try {
+    const startAt = Math.max(Date.now(), state.nextStartAt, state.backoffUntil);
+    state.nextStartAt = startAt + interval;
+    // a backoff may be extended by a crawl that finishes while this one waits
+    while (Date.now() < Math.max(startAt, state.backoffUntil)) {
+      const waitMs = Math.max(startAt, state.backoffUntil) - Date.now();
+      logger.info(`[hosts] ${host}: waiting ${waitMs}ms before crawling ${url}`);
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(waitMs);
+    }
+    return await task();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Record the status a host answered with. 429 and 503 pause the host for its Retry-After
+ * (or an exponential backoff from HOST_BACKOFF_MS when none is given), capped at HOST_MAX_BACKOFF_MS.
+ * Any other status clears the backoff streak.
+ */
+export function noteHostResponse(url, status, retryAfter = null) {
+  const state = getState(hostKey(url));
+  if (!BACKOFF_STATUSES.includes(status)) {
+    state.backoffCount = 0;
+    return;
+  }
+
+  state.backoffCount += 1;
+  const requested = parseRetryAfter(retryAfter);
+  const delay = Math.min(requested ?? config.hosts.backoffMs * 2 ** (state.backoffCount - 1), config.hosts.maxBackoffMs);
+  state.backoffUntil = Math.max(state.backoffUntil, Date.now() + delay);
+  logger.warn(`[hosts] ${hostKey(url)} answered ${status}, pausing it for ${delay}ms`);
+}
+
+/**
+ * Snapshot for /status: hosts with crawls running, queued or paused.
+ */
+export function getHostStats() {
+  const now = Date.now();
+  const busy = [];
+  hosts.forEach((state, host) => {
+    if (!state.slots.active && !state.slots.waiting && state.backoffUntil <= now) return;
+    busy.push({
+      host,
+      active: state.slots.active,
+      waiting: state.slots.waiting,
+      backoffUntil: state.backoffUntil > now ? new Date(state.backoffUntil).toISOString() : null,
+    });
+  });
+  return {
+    requestsPerSecond: config.hosts.requestsPerSecond,
+    maxConcurrentPerHost: config.hosts.maxConcurrent,
+    hosts: busy,
+  };
+}
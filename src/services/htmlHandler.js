@@ -1,42 +1,90 @@
 import { createHash } from 'crypto';
 import { extractHtmlContent } from '../utils/markdown.js';
 import { config } from '../utils/config.js';
+import { deliverArtifact } from './artifactStore.js';
+import { getRulesForUrl } from './extractionRules.js';
 
 /**
- * Process an HTML page and return markdown, metadata and headers
+ * Capture the requested screenshots / print-to-PDF render of the live page.
+ * Must run before extraction, which strips styles from the document.
+ * Returns an artifacts object, or null when nothing was requested.
  */
-export async function processHtml(page, response, url, redirects = []) {
-  const { markdown, metadata } = await extractHtmlContent(page, { sanitize: config.sanitizeHtml });
+async function captureArtifacts(page, options = {}) {
+  const { screenshot, screenshotFormat = 'png', renderPdf, artifactDelivery } = options;
+  if (!screenshot && !renderPdf) return null;
+
+  const artifacts = {};
+  if (screenshot === 'fullPage' || screenshot === 'both') {
+    const buffer = await page.screenshot({ fullPage: true, type: screenshotFormat });
+    artifacts.fullPageScreenshot = deliverArtifact(buffer, screenshotFormat, artifactDelivery);
+  }
+  if (screenshot === 'viewport' || screenshot === 'both') {
+    const buffer = await page.screenshot({ fullPage: false, type: screenshotFormat });
+    artifacts.viewportScreenshot = deliverArtifact(buffer, screenshotFormat, artifactDelivery);
+  }
+  if (renderPdf) {
+    const buffer = await page.pdf({ printBackground: true });
+    artifacts.pdf = deliverArtifact(buffer, 'pdf', artifactDelivery);
+  }
+  return artifacts;
+}
+
+/**
+ * Process an HTML page and return markdown, metadata and headers.
+ * With `options.collectLinks` the result also carries the page's outgoing `links`, with
+ * `options.inventory` every link and image in `inventory`, and with
+ * `options.screenshot` / `options.renderPdf` the captured `artifacts`. When `options.format`
+ * asks for html, the cleaned HTML is kept in `html` for the format renderer.
+ * Extraction follows the domain rule matching `url`, if any.
+ */
+export async function processHtml(page, response, url, redirects = [], options = {}) {
+  const artifacts = await captureArtifacts(page, options);
+  const { markdown, metadata, links, inventory, html } = await extractHtmlContent(page, {
+    sanitize: options.sanitize ?? config.sanitizeHtml,
+    collectLinks: options.collectLinks === true,
+    inventory: options.inventory === true,
+    includeHtml: options.format?.includes('html') ?? false,
+    rules: getRulesForUrl(url),
+  });
   const hash = createHash('sha256').update(markdown).digest('hex');
-  return {
+  const responseHeaders = response.headers();
+  const result = {
     url,
     hash,
     headers: {
-      'content-type': response.headers()['content-type'] || 'text/html',
-      status: response.status()
+      'content-type': responseHeaders['content-type'] || 'text/html',
+      status: response.status(),
+      // cache validators, used for conditional re-crawls
+      etag: responseHeaders.etag ?? null,
+      'last-modified': responseHeaders['last-modified'] ?? null,
     },
     metadata: metadata ?? { title: null, description: null, h1: [], h2: [] },
     redirects,
     markdown,
   };
+  if (links) result.links = links;
+  if (inventory) result.inventory = inventory;
+  if (html !== undefined) result.html = html;
+  if (artifacts) result.artifacts = artifacts;
+  return result;
 }
 
 /**
- * Handler entry point for HTML pages. Accepts { context, page, response, url }
+ * Handler entry point for HTML pages. Accepts { context, page, response, url, redirects, options }
  * If page/response not provided it will create a page and navigate to url.
  * Returns { markdown, metadata, hash, headers }
  */
-export async function handleRequest({ context, page = null, response = null, url, redirects = [] }) {
+export async function handleRequest({ context, page = null, response = null, url, redirects = [], options = {} }) {
   let created = false;
   try {
     if (!page) {
       page = await context.newPage();
       created = true;
-      response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      response = await page.goto(url, { waitUntil: options.waitUntil ?? 'domcontentloaded' });
     }
 
     if (!response) throw new Error('No response from page');
-    return await processHtml(page, response, url, redirects);
+    return await processHtml(page, response, url, redirects, options);
   } finally {
     if (created && page) await page.close().catch(() => {});
   }
@@ -0,0 +1,169 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError, describeFailure, formatError } from '../utils/errors.js';
+import { deliverWebhook, parseWebhookUrl } from '../utils/webhook.js';
+import { parseCrawlOptions } from '../utils/crawlOptions.js';
+import { crawlUrl, parseTargetUrl } from './browserService.js';
+import { crawlSite, parseSiteCrawlOptions } from './siteCrawlService.js';
+import { assertRedirectsAllowed, canAccess, isDomainAllowed } from './apiKeys.js';
+
+const JOB_STATES = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+const isFinished = (job) => job.status === JOB_STATES.SUCCEEDED || job.status === JOB_STATES.FAILED;
+
+// drop finished jobs older than the configured TTL; runs lazily on every API call
+const pruneJobs = () => {
+  const cutoff = Date.now() - config.jobs.ttlMs;
+  jobs.forEach((job, id) => {
+    if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  });
+};
+
+/**
+ * Public view of a job (internal crawl inputs are not part of the API).
+ */
+const serializeJob = (job) => {
+  const { targetUrl, crawlOptions, siteOptions, allowUrl, releaseQuota, ...rest } = job;
+  return rest;
+};
+
+const notify = async (job) => {
+  if (!job.webhook) return;
+  const delivery = await deliverWebhook(job.webhook.url, `job.${job.status}`, serializeJob({ ...job, webhook: undefined }));
+  job.webhook = { ...job.webhook, ...delivery, deliveredAt: delivery.delivered ? new Date().toISOString() : null };
+};
+
+const runJob = async (job) => {
+  job.status = JOB_STATES.RUNNING;
+  job.startedAt = new Date().toISOString();
+  logger.info(`[jobs] running ${job.type} job ${job.id} for ${job.url}`);
+
+  try {
+    if (job.siteOptions) {
+      job.result = await crawlSite(job.targetUrl, { ...job.siteOptions, allowUrl: job.allowUrl });
+    } else {
+      const result = await crawlUrl(job.targetUrl, job.crawlOptions);
+      if (job.allowUrl) assertRedirectsAllowed(result, job.allowUrl);
+      job.result = result;
+    }
+    job.status = JOB_STATES.SUCCEEDED;
+  } catch (err) {
+    logger.error(`[jobs] ${job.id} failed: ${formatError(err)}`);
+    job.error = describeFailure(err);
+    job.status = JOB_STATES.FAILED;
+  }
+  job.finishedAt = new Date().toISOString();
+
+  await notify(job);
+};
+
+const drainQueue = () => {
+  while (running < config.jobs.concurrency && pending.length) {
+    const job = pending.shift();
+    running += 1;
+    runJob(job)
+      .catch((err) => logger.error(`[jobs] ${job.id} crashed: ${formatError(err)}`))
+      .finally(() => {
+        running -= 1;
+        job.releaseQuota?.();
+        drainQueue();
+      });
+  }
+};
+
+/**
+ * Queue a crawl job and return it immediately in the `queued` state.
+ * With `siteOptions` (see parseSiteCrawlOptions) the job crawls the whole site from `targetUrl`
+ * and its result is the /crawl/site payload.
+ * `apiKeyId` records the key that owns the job and `allowUrl` its allowed domains (a page or
+ * redirect hop outside them fails); `releaseQuota` is called once the job has run,
+ * so the key's concurrent slot covers the crawl rather than the 202.
+ */
+const submitJob = (targetUrl, { webhookUrl, crawlOptions = {}, siteOptions = null, apiKeyId = null, allowUrl = null, releaseQuota } = {}) => {
+  pruneJobs();
+  const job = {
+    id: randomUUID(),
+    type: siteOptions ? 'site' : 'page',
+    status: JOB_STATES.QUEUED,
+    url: targetUrl.href,
+    targetUrl,
+    crawlOptions,
+    siteOptions,
+    allowUrl,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    webhook: webhookUrl ? { url: webhookUrl } : null,
+    apiKeyId,
+    releaseQuota,
+  };
+  jobs.set(job.id, job);
+  pending.push(job);
+  drainQueue();
+  return job;
+};
+
+const getJob = (id) => {
+  pruneJobs();
+  return jobs.get(id) ?? null;
+};
+
+/**
+ * Express handler for POST /jobs. Responds 202 with the queued job.
+ * A `site` object (the /crawl/site parameters) turns the job into a site crawl.
+ */
+async function handleCreateJob(req, res) {
+  let targetUrl, crawlOptions, siteOptions = null;
+  try {
+    targetUrl = parseTargetUrl(req.body?.url);
+    crawlOptions = parseCrawlOptions(req.body?.options);
+    const site = req.body?.site;
+    if (site !== undefined && site !== null) {
+      if (typeof site !== 'object' || Array.isArray(site)) throw new CrawlError('site must be an object', { statusCode: 400 });
+      siteOptions = parseSiteCrawlOptions({ ...site, options: req.body?.options });
+    }
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message, ...err.details });
+  }
+
+  const webhook = parseWebhookUrl(req.body?.webhookUrl);
+  if (webhook?.error) return res.status(400).json({ error: webhook.error });
+
+  const job = submitJob(targetUrl, {
+    webhookUrl: webhook?.url,
+    crawlOptions,
+    siteOptions,
+    apiKeyId: req.apiKey?.id,
+    // keep API keys inside their allowed domains, as /crawl and /crawl/site do
+    allowUrl: req.apiKey ? (url) => isDomainAllowed(req.apiKey, url) : null,
+    releaseQuota: req.holdApiKeySlot?.(),
+  });
+  logger.info(`[jobs] queued ${job.type} job ${job.id} for ${job.url}`);
+  return res
+    .status(202)
+    .location(`/jobs/${job.id}`)
+    .json({ id: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+}
+
+/**
+ * Express handler for GET /jobs/:id. Jobs of other API keys are reported as not found.
+ */
+async function handleGetJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req.apiKey, job.apiKeyId)) return res.status(404).json({ error: 'Job not found', id: req.params.id });
+  return res.json(serializeJob(job));
+}
+
+export { JOB_STATES, getJob, handleCreateJob, handleGetJob, submitJob };
@@ -1,64 +1,100 @@
 import { createHash } from 'crypto';
-import { convertPdfBufferToMarkdown } from '../utils/markdown.js';
-
-const USER_AGENT =
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36';
+import { convertPdfBuffer } from '../utils/markdown.js';
+import { constants } from '../utils/config.js';
+import { CrawlError, upstreamError } from '../utils/errors.js';
+import { assertBodySize } from './handlerSupport.js';
+import { requestPublicUrl } from '../utils/ssrfGuard.js';
 
 /**
- * Fetch PDF bytes from the network using a Playwright context.
- * Returns a Buffer.
+ * Fetch PDF bytes and response headers from the network using a Playwright context.
+ * `options.userAgent` / `options.headers` mirror the per-request crawl options.
+ * Returns { buffer, headers, status }
  */
-export async function fetchPdf(context, url) {
+async function requestPdf(context, url, options = {}) {
   const headers = {
-    'user-agent': USER_AGENT,
+    ...options.headers,
+    'user-agent': options.userAgent ?? constants.DEFAULT_USER_AGENT,
     accept: 'application/pdf,*/*;q=0.8',
     referer: url,
     ...(process.env.CRAWL_SESSION_COOKIE && { cookie: process.env.CRAWL_SESSION_COOKIE })
   };
 
-  const resp = await context.request.get(url, { headers });
-  if (!resp.ok()) throw new Error(`PDF fetch failed (${resp.status()})`);
-  return Buffer.from(await resp.body());
+  const resp = await requestPublicUrl(context.request, url, { headers, ...(options.timeoutMs && { timeout: options.timeoutMs }) });
+  if (!resp.ok()) throw upstreamError(resp.status());
+  assertBodySize(null, Number(resp.headers()['content-length']) || 0);
+  return { buffer: assertBodySize(Buffer.from(await resp.body())), headers: resp.headers(), status: resp.status() };
+}
+
+/**
+ * Fetch PDF bytes from the network using a Playwright context.
+ * Returns a Buffer.
+ */
+export async function fetchPdf(context, url, options = {}) {
+  const { buffer } = await requestPdf(context, url, options);
+  return buffer;
 }
 
 /**
  * Convert a PDF buffer to markdown and compute a hash.
- * Returns { markdown, hash, headers, metadata }
+ * `responseHeaders` (when known) supply the ETag / Last-Modified cache validators.
+ * `options.pageRange` limits the converted pages and `options.pages` adds per-page markdown.
+ * Returns { markdown, hash, headers, metadata, pages? }
  */
-export async function processPdfBuffer(buffer, url, redirects = []) {
-  const markdown = await convertPdfBufferToMarkdown(buffer);
+export async function processPdfBuffer(buffer, url, redirects = [], responseHeaders = {}, options = {}) {
+  const { markdown, pages, info, pageCount, convertedPages } = await convertPdfBuffer(buffer, {
+    pageRange: options.pageRange,
+  });
   const hash = createHash('sha256').update(markdown).digest('hex');
   return {
     url,
     hash,
-    headers: { 'content-type': 'application/pdf', status: 200 },
-    metadata: {  },
+    headers: {
+      'content-type': 'application/pdf',
+      status: 200,
+      etag: responseHeaders.etag ?? null,
+      'last-modified': responseHeaders['last-modified'] ?? null,
+    },
+    metadata: {
+      ...info,
+      pageCount,
+      fileSize: buffer.length,
+      convertedPages,
+    },
     redirects,
-    markdown
+    markdown,
+    ...(options.pages && { pages }),
   };
 }
 
-export async function fetchAndProcessPdf(context, url, redirects = []) {
-  const buf = await fetchPdf(context, url);
-  return await processPdfBuffer(buf, url, redirects);
+export async function fetchAndProcessPdf(context, url, redirects = [], options = {}) {
+  const buf = await fetchPdf(context, url, options);
+  return await processPdfBuffer(buf, url, redirects, {}, options);
 }
 
 /**
  * Handler entry point for PDFs. Accepts an object with context/page/response/url
  * and returns a response-shaped object: { url, hash, markdown, headers, metadata }
  */
-export async function handleRequest({ context, page = null, response = null, url, redirects = [] }) {
+export async function handleRequest({ context, page = null, response = null, url, redirects = [], options = {} }) {
   // If response available and has body, prefer reading it
   if (response) {
     try {
       const buf = await response.body();
-      if (buf && buf.length) return await processPdfBuffer(Buffer.from(buf), url ?? response.url());
+      if (buf && buf.length) {
+        const result = await processPdfBuffer(Buffer.from(buf), url ?? response.url(), redirects, response.headers(), options);
+        result.headers.status = response.status();
+        return result;
+      }
     } catch (e) {
+      // conversion errors (e.g. an out-of-range pageRange) would fail again after a re-fetch
+      if (e instanceof CrawlError) throw e;
       // fallthrough to fetch
     }
   }
 
   // Otherwise fetch via request API
-  const buf = await fetchPdf(context, url);
-  return await processPdfBuffer(buf, url, redirects);
+  const { buffer, headers, status } = await requestPdf(context, url, options);
+  const result = await processPdfBuffer(buffer, url, redirects, headers, options);
+  result.headers.status = status;
+  return result;
 }
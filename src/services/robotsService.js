@@ -0,0 +1,219 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError } from '../utils/errors.js';
+import { fetchPublicUrl } from '../utils/ssrfGuard.js';
+import { selectFetchProxy } from './proxyService.js';
+
+// failed robots.txt fetches are retried sooner than successful ones
+const ERROR_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_ORIGINS = 5000;
+
+const robotsCache = new Map(); // origin, or "origin proxy" for a proxy override -> { expiresAt, promise }
+
+/**
+ * Parse robots.txt into user-agent groups (RFC 9309).
+ * Returns { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+export function parseRobots(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      // consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // an empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Pick the group for `userAgent`: the longest matching product token wins, `*` is the fallback.
+ * Groups naming the same agent are merged.
+ */
+const selectGroup = (robots, userAgent) => {
+  const token = userAgent.toLowerCase();
+  let bestLength = -1;
+  let selected = [];
+
+  robots.groups.forEach((group) => {
+    group.agents.forEach((agent) => {
+      if (!agent) return;
+      let length = -1;
+      if (agent === '*') length = 0;
+      else if (token.includes(agent)) length = agent.length;
+      if (length > bestLength) {
+        bestLength = length;
+        selected = [group];
+      } else if (length === bestLength && length >= 0 && !selected.includes(group)) {
+        selected.push(group);
+      }
+    });
+  });
+
+  if (!selected.length) return null;
+  return {
+    rules: selected.flatMap((group) => group.rules),
+    crawlDelay: selected.find((group) => group.crawlDelay !== null)?.crawlDelay ?? null,
+  };
+};
+
+/**
+ * Decide whether `path` (path + query) may be fetched. The most specific (longest) matching
+ * rule wins and Allow wins ties, as in RFC 9309.
+ * Returns { allowed, crawlDelay }
+ */
+export function isAllowedByRobots(robots, userAgent, path) {
+  const group = selectGroup(robots, userAgent);
+  if (!group) return { allowed: true, crawlDelay: null };
+
+  let match = null;
+  group.rules.forEach((rule) => {
+    if (!patternToRegExp(rule.path).test(path)) return;
+    if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+      match = rule;
+    }
+  });
+
+  return { allowed: match ? match.allow : true, crawlDelay: group.crawlDelay };
+}
+
+const fetchRobots = async (origin, proxyOverride) => {
+  const robotsUrl = `${origin}/robots.txt`;
+  // through the proxy the crawl uses: a site only proxies can reach must not look unreachable.
+  // An unusable proxy choice fails the caller instead of passing for an unreachable robots.txt.
+  const proxy = await selectFetchProxy(robotsUrl, proxyOverride);
+  try {
+    const res = await fetchPublicUrl(robotsUrl, {
+      headers: { 'user-agent': config.robots.userAgent },
+      signal: AbortSignal.timeout(config.robots.timeoutMs),
+    }, { proxy });
+    if (res.ok) {
+      return { robotsUrl, status: res.status, robots: parseRobots(await res.text()), ttlMs: config.robots.cacheTtlMs };
+    }
+    // 4xx: no usable robots.txt, crawling is unrestricted
+    if (res.status < 500) {
+      return { robotsUrl, status: res.status, robots: parseRobots(''), ttlMs: config.robots.cacheTtlMs };
+    }
+    throw new Error(`robots.txt responded with status ${res.status}`);
+  } catch (err) {
+    // unreachable robots.txt: assume complete disallow until the next attempt
+    logger.warn(`[robots] ${robotsUrl} unavailable, treating host as disallowed: ${err.message ?? err}`);
+    return {
+      robotsUrl,
+      status: null,
+      robots: parseRobots('User-agent: *\nDisallow: /'),
+      ttlMs: ERROR_CACHE_TTL_MS,
+      error: String(err.message ?? err),
+    };
+  }
+};
+
+// one entry per origin ever crawled would pile up: drop expired entries, then the oldest
+const evictRobots = () => {
+  const now = Date.now();
+  robotsCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) robotsCache.delete(key);
+  });
+  while (robotsCache.size > MAX_CACHED_ORIGINS) robotsCache.delete(robotsCache.keys().next().value);
+};
+
+/**
+ * Cached robots.txt lookup for the origin of `url`, fetched through the proxy the request's `proxy`
+ * option picks (see selectProxy). Entries are kept per origin and proxy option, since a different
+ * egress may be answered differently. Concurrent callers share one fetch.
+ * Returns { robotsUrl, status, robots, error? }
+ */
+export async function getRobots(url, { proxy = null } = {}) {
+  const { origin } = new URL(url);
+  const key = proxy ? `${origin} ${proxy}` : origin;
+  const cached = robotsCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const entry = { expiresAt: Infinity, promise: null };
+  entry.promise = fetchRobots(origin, proxy).then((result) => {
+    entry.expiresAt = Date.now() + result.ttlMs;
+    return result;
+  }, (err) => {
+    if (robotsCache.get(key) === entry) robotsCache.delete(key);
+    throw err;
+  });
+  // re-inserted so Map order stays oldest-first for eviction
+  robotsCache.delete(key);
+  robotsCache.set(key, entry);
+  if (robotsCache.size > MAX_CACHED_ORIGINS) evictRobots();
+  return entry.promise;
+}
+
+/**
+ * Check `url` against its host's robots.txt (fetched through the `proxy` option, see getRobots).
+ * Returns { allowed, crawlDelay, robotsUrl }
+ */
+export async function checkRobots(url, { proxy = null } = {}) {
+  const target = new URL(url);
+  const { robots, robotsUrl } = await getRobots(target.href, { proxy });
+  const { allowed, crawlDelay } = isAllowedByRobots(robots, config.robots.userAgent, `${target.pathname}${target.search}`);
+  return { allowed, crawlDelay, robotsUrl };
+}
+
+/**
+ * Throw a 403 CrawlError when robots.txt disallows `url`.
+ * No-op when robots checks are disabled or the caller holds a permitted override.
+ */
+export async function assertAllowedByRobots(url, { ignoreRobots = false, proxy = null } = {}) {
+  if (!config.robots.enabled) return;
+  if (ignoreRobots) {
+    if (config.robots.allowOverride) {
+      logger.warn(`[robots] override requested, skipping robots.txt check for ${url}`);
+      return;
+    }
+    logger.warn(`[robots] override requested for ${url} but ROBOTS_ALLOW_OVERRIDE is off; enforcing robots.txt`);
+  }
+
+  const { allowed, robotsUrl } = await checkRobots(url, { proxy });
+  if (!allowed) {
+    logger.info(`[robots] ${url} disallowed by ${robotsUrl}`);
+    throw new CrawlError('Disallowed by robots.txt', { code: 'ROBOTS_DISALLOWED', details: { url, robotsUrl } });
+  }
+}
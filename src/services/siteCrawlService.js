@@ -0,0 +1,163 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError, describeFailure, formatError } from '../utils/errors.js';
+import { sanitizeUrl } from '../utils/markdown.js';
+import { parseCrawlOptions } from '../utils/crawlOptions.js';
+import { crawlUrl, parseTargetUrl } from './browserService.js';
+import { assertRedirectsAllowed, isDomainAllowed } from './apiKeys.js';
+
+// links to static assets are never worth a browser run
+const ASSET_EXTENSION_PATTERN = /\.(?:png|jpe?g|gif|webp|svg|ico|bmp|css|js|mjs|map|json|xml|zip|gz|tgz|rar|7z|tar|mp3|mp4|m4a|wav|avi|mov|webm|woff2?|ttf|eot|exe|dmg|iso)$/i;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item)).filter(Boolean);
+};
+
+const compilePatterns = (value, field) =>
+  toList(value).map((pattern) => {
+    try {
+      return new RegExp(pattern);
+    } catch (err) {
+      throw new CrawlError(`Invalid ${field} pattern: ${pattern}`, { statusCode: 400 });
+    }
+  });
+
+const readLimit = (value, fallback, max, { min = 1, field }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new CrawlError(`${field} must be an integer >= ${min}`, { statusCode: 400 });
+  }
+  return Math.min(parsed, max);
+};
+
+const readBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return String(value).toLowerCase() !== 'false';
+};
+
+/**
+ * Normalize raw site-crawl parameters (query string or JSON body) into crawlSite options.
+ * Throws a CrawlError (400) on invalid values.
+ */
+export function parseSiteCrawlOptions(params = {}) {
+  return {
+    maxDepth: readLimit(params.maxDepth, config.siteCrawl.maxDepth, config.siteCrawl.maxDepth, { min: 0, field: 'maxDepth' }),
+    maxPages: readLimit(params.maxPages, config.siteCrawl.maxPages, config.siteCrawl.maxPages, { field: 'maxPages' }),
+    sameOrigin: readBoolean(params.sameOrigin, true),
+    include: compilePatterns(params.include, 'include'),
+    exclude: compilePatterns(params.exclude, 'exclude'),
+    crawlOptions: parseCrawlOptions(params.options),
+  };
+}
+
+/**
+ * Breadth-first crawl starting at `seedUrl`, following links discovered on each HTML page.
+ * Pages are crawled one at a time with the same `crawlOptions`; a failing page is recorded in
+ * `errors` and does not stop the crawl. Only successful pages count toward `maxPages`; total
+ * attempts are capped at twice `maxPages` so a run of failures still ends. `allowUrl`, when given,
+ * vetoes discovered links and fails pages that redirected outside it (used to keep API keys inside
+ * their allowed domains).
+ * Returns { seed, pages, errors, stats }
+ */
+export async function crawlSite(seedUrl, { maxDepth, maxPages, sameOrigin = true, include = [], exclude = [], crawlOptions = {}, allowUrl = null } = {}) {
+  const startedAt = Date.now();
+  const seed = sanitizeUrl(seedUrl.href);
+  const allowedOrigins = new Set([seedUrl.origin]);
+  const visited = new Set([seed]);
+  const queue = [{ url: seed, depth: 0 }];
+  const pages = [];
+  const errors = [];
+  const maxAttempts = maxPages * 2;
+  let attempts = 0;
+  let skipped = 0;
+
+  const shouldFollow = (link) => {
+    let parsed;
+    try {
+      parsed = new URL(link);
+    } catch {
+      return false;
+    }
+    if (sameOrigin && !allowedOrigins.has(parsed.origin)) return false;
+    if (ASSET_EXTENSION_PATTERN.test(parsed.pathname)) return false;
+    if (include.length && !include.some((pattern) => pattern.test(link))) return false;
+    if (exclude.some((pattern) => pattern.test(link))) return false;
+    if (allowUrl && !allowUrl(link)) return false;
+    return true;
+  };
+
+  while (queue.length && pages.length < maxPages && attempts < maxAttempts) {
+    const { url, depth } = queue.shift();
+    attempts += 1;
+    let result;
+    try {
+      result = await crawlUrl(new URL(url), { ...crawlOptions, collectLinks: depth < maxDepth });
+      if (allowUrl) assertRedirectsAllowed(result, allowUrl);
+    } catch (err) {
+      logger.warn(`[siteCrawl] failed to crawl ${url}: ${formatError(err)}`);
+      const { message, ...failure } = describeFailure(err);
+      errors.push({ url, depth, error: message, ...failure });
+      continue;
+    }
+
+    const { links = [], ...page } = result;
+    pages.push({ ...page, depth });
+
+    // the seed may redirect (http -> https, apex -> www); treat its final origin as in scope too
+    const finalUrl = page.redirects?.[page.redirects.length - 1];
+    if (depth === 0 && finalUrl) {
+      try {
+        allowedOrigins.add(new URL(finalUrl).origin);
+        visited.add(sanitizeUrl(finalUrl));
+      } catch (_) {}
+    }
+
+    if (depth >= maxDepth) continue;
+    links.forEach((link) => {
+      if (visited.has(link)) return;
+      visited.add(link);
+      if (shouldFollow(link)) {
+        queue.push({ url: link, depth: depth + 1 });
+      } else {
+        skipped += 1;
+      }
+    });
+  }
+
+  return {
+    seed,
+    pages,
+    errors,
+    stats: {
+      crawled: pages.length,
+      failed: errors.length,
+      skipped,
+      queued: queue.length,
+      durationMs: Date.now() - startedAt,
+    },
+  };
+}
+
+/**
+ * Express handler for GET/POST /crawl/site.
+ */
+export async function handleSiteCrawl(req, res) {
+  const params = { ...req.query, ...req.body };
+  let seedUrl, options;
+  try {
+    seedUrl = parseTargetUrl(params.url, {
+      missingMessage: req.method === 'GET' ? 'Missing url query parameter' : 'Missing url parameter',
+    });
+    options = parseSiteCrawlOptions(params);
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message, ...err.details });
+  }
+
+  logger.info(`[siteCrawl] starting site crawl from ${seedUrl.href} (depth ${options.maxDepth}, pages ${options.maxPages})`);
+  const result = await crawlSite(seedUrl, { ...options, allowUrl: req.apiKey ? (link) => isDomainAllowed(req.apiKey, link) : null });
+  logger.info(`[siteCrawl] finished ${seedUrl.href}: ${result.stats.crawled} crawled, ${result.stats.failed} failed`);
+  return res.json(result);
+}
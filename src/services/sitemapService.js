@@ -0,0 +1,167 @@
+import { gunzipSync } from 'zlib';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { formatError } from '../utils/errors.js';
+import { fetchPublicUrl } from '../utils/ssrfGuard.js';
+import { parseCrawlOptions } from '../utils/crawlOptions.js';
+import { getRobots } from './robotsService.js';
+import { selectFetchProxy, selectProxy } from './proxyService.js';
+import { parseTargetUrl } from './browserService.js';
+
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // sitemaps.org limit for an uncompressed file
+const MAX_INDEX_DEPTH = 3;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXmlText = (value = '') =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .trim();
+
+const readTag = (block, tag) => {
+  // child tags are read from the default namespace only, so image:loc / video:loc never shadow loc
+  const match = block.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+};
+
+/**
+ * Parse a sitemap or sitemap index document.
+ * Returns { type: 'index' | 'urlset' | 'unknown', entries: [{ loc, lastmod }] }
+ */
+export function parseSitemap(xml = '') {
+  const text = String(xml);
+  const type = /<(?:[\w-]+:)?sitemapindex\b/i.test(text) ? 'index' : /<(?:[\w-]+:)?urlset\b/i.test(text) ? 'urlset' : 'unknown';
+  if (type === 'unknown') return { type, entries: [] };
+
+  const tag = type === 'index' ? 'sitemap' : 'url';
+  const blocks = text.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>[\\s\\S]*?</(?:[\\w-]+:)?${tag}>`, 'gi')) ?? [];
+  const entries = blocks
+    .map((block) => ({ loc: readTag(block, 'loc'), lastmod: readTag(block, 'lastmod') }))
+    .filter((entry) => entry.loc);
+  return { type, entries };
+}
+
+// streams the body so an oversized sitemap is refused after CRAWL_MAX_BODY_BYTES instead of buffered whole
+const readSitemapBytes = async (res) => {
+  const limit = config.maxBodyBytes;
+  if (Number(res.headers.get('content-length')) > limit) {
+    await res.body?.cancel().catch(() => {});
+    throw new Error(`Sitemap exceeds ${limit} bytes`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body ?? []) {
+    size += chunk.length;
+    // leaving the loop cancels the stream
+    if (size > limit) throw new Error(`Sitemap exceeds ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const fetchSitemapText = async (url, { proxy = null } = {}) => {
+  const res = await fetchPublicUrl(url, {
+    headers: { 'user-agent': config.robots.userAgent, accept: 'application/xml,text/xml,*/*;q=0.8' },
+    signal: AbortSignal.timeout(config.robots.timeoutMs),
+  }, { proxy: await selectFetchProxy(url, proxy) });
+  if (!res.ok) throw new Error(`Sitemap fetch failed (${res.status})`);
+
+  let buffer = await readSitemapBytes(res);
+  // .xml.gz files are served with all sorts of content types; trust the gzip magic bytes
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('Sitemap exceeds 50MB');
+      throw err;
+    }
+  }
+  if (buffer.length > MAX_SITEMAP_BYTES) throw new Error('Sitemap exceeds 50MB');
+  return buffer.toString('utf8');
+};
+
+const looksLikeSitemap = (url) => /\.xml(?:\.gz)?$/i.test(url.pathname) || /sitemap/i.test(url.pathname);
+
+/**
+ * Find the sitemaps for `targetUrl` (the URL itself when it looks like a sitemap, otherwise
+ * robots.txt Sitemap entries, falling back to /sitemap.xml) and expand indexes recursively.
+ * `proxy` is a proxy override as in crawl options; robots.txt and every sitemap are fetched through it.
+ * Returns { url, sitemaps: [{ url, type, count, error }], urls: [{ loc, lastmod }], truncated }
+ */
+export async function discoverSitemapUrls(targetUrl, { proxy = null } = {}) {
+  let roots;
+  if (looksLikeSitemap(targetUrl)) {
+    roots = [targetUrl.href];
+  } else {
+    const { robots } = await getRobots(targetUrl.href, { proxy });
+    roots = robots.sitemaps.length ? robots.sitemaps : [`${targetUrl.origin}/sitemap.xml`];
+  }
+
+  const sitemaps = [];
+  const urls = [];
+  const seenSitemaps = new Set();
+  const seenUrls = new Set();
+  const queue = roots.map((url) => ({ url, depth: 0 }));
+  let truncated = false;
+
+  while (queue.length) {
+    if (sitemaps.length >= config.sitemaps.maxFiles || urls.length >= config.sitemaps.maxUrls) {
+      truncated = true;
+      break;
+    }
+    const { url, depth } = queue.shift();
+    if (seenSitemaps.has(url)) continue;
+    seenSitemaps.add(url);
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const { type, entries } = parseSitemap(await fetchSitemapText(url, { proxy }));
+      sitemaps.push({ url, type, count: entries.length, error: null });
+
+      if (type === 'index') {
+        if (depth < MAX_INDEX_DEPTH) entries.forEach((entry) => queue.push({ url: entry.loc, depth: depth + 1 }));
+        continue;
+      }
+      for (const entry of entries) {
+        if (urls.length >= config.sitemaps.maxUrls) {
+          truncated = true;
+          break;
+        }
+        if (!seenUrls.has(entry.loc)) {
+          seenUrls.add(entry.loc);
+          urls.push(entry);
+        }
+      }
+    } catch (err) {
+      logger.warn(`[sitemap] failed to load ${url}: ${formatError(err)}`);
+      sitemaps.push({ url, type: null, count: 0, error: String(err?.message ?? err) });
+    }
+  }
+
+  return { url: targetUrl.href, sitemaps, urls, truncated };
+}
+
+/**
+ * Express handler for GET /sitemap?url=...&proxy=...
+ */
+export async function handleSitemap(req, res) {
+  let targetUrl, proxy;
+  try {
+    targetUrl = parseTargetUrl(req.query?.url, { missingMessage: 'Missing url query parameter' });
+    ({ proxy } = parseCrawlOptions({ proxy: req.query?.proxy }));
+    // an unknown pool is the caller's mistake, not a missing sitemap
+    selectProxy(targetUrl.href, proxy);
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message, ...err.details });
+  }
+
+  logger.info(`[sitemap] discovering sitemaps for ${targetUrl.href}`);
+  const result = await discoverSitemapUrls(targetUrl, { proxy });
+  if (!result.sitemaps.some((sitemap) => !sitemap.error)) {
+    return res.status(404).json({ error: 'No sitemap found', ...result });
+  }
+  return res.json(result);
+}
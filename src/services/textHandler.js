@@ -0,0 +1,143 @@
+import { buildResult, decodeText, readBody } from './handlerSupport.js';
+
+const MAX_TABLE_COLUMNS = 100;
+
+const firstHeading = (markdown) => /^#{1,6}\s+(.+?)\s*#*\s*$/m.exec(markdown)?.[1] ?? null;
+
+const fence = (text, language = '') => {
+  // use a fence longer than any backtick run inside the text
+  const longestRun = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `${marker}${language}\n${text.replace(/\n+$/, '')}\n${marker}`;
+};
+
+/**
+ * Parse delimited text (RFC 4180 quoting). The delimiter is guessed from the first line
+ * among comma, semicolon and tab unless given.
+ * Returns an array of rows, each an array of cell strings.
+ */
+export function parseCsv(text, delimiter) {
+  const source = text.replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = delimiter
+    ?? [',', ';', '\t'].reduce((best, candidate) => (
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Render parsed CSV rows as a GFM table; the first row is the header.
+ */
+export function csvToMarkdownTable(rows) {
+  if (!rows.length) return '';
+  const width = Math.min(MAX_TABLE_COLUMNS, Math.max(...rows.map((cells) => cells.length)));
+  const escapeCell = (value = '') => value.trim().replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => escapeCell(cells[i])).join(' | ')} |`;
+  const [header, ...body] = rows;
+  return [line(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(line)].join('\n');
+}
+
+// converters: (text) => { markdown, metadata }
+const converters = {
+  text: (text) => ({ markdown: text.replace(/\r\n?/g, '\n').trim(), metadata: {} }),
+  markdown: (text) => {
+    const markdown = text.replace(/\r\n?/g, '\n').trim();
+    return { markdown, metadata: { title: firstHeading(markdown) } };
+  },
+  json: (text) => {
+    try {
+      const value = JSON.parse(text);
+      const type = Array.isArray(value) ? 'array' : typeof value;
+      return {
+        markdown: fence(JSON.stringify(value, null, 2), 'json'),
+        metadata: {
+          type,
+          ...(type === 'array' && { length: value.length }),
+          ...(type === 'object' && value !== null && { keys: Object.keys(value).slice(0, 50) }),
+        },
+      };
+    } catch (err) {
+      // keep the body readable even when it does not parse
+      return { markdown: fence(text.trim()), metadata: { parseError: err.message } };
+    }
+  },
+  csv: (text) => {
+    const rows = parseCsv(text);
+    return {
+      markdown: csvToMarkdownTable(rows),
+      metadata: { rows: Math.max(0, rows.length - 1), columns: rows[0]?.length ?? 0 },
+    };
+  },
+  xml: (text) => {
+    const body = text.replace(/^﻿/, '').trim();
+    const root = /<(?![?!])([\w:.-]+)/.exec(body)?.[1] ?? null;
+    return { markdown: fence(body, 'xml'), metadata: { rootElement: root } };
+  },
+};
+
+const DEFAULT_CONTENT_TYPES = {
+  text: 'text/plain',
+  markdown: 'text/markdown',
+  json: 'application/json',
+  csv: 'text/csv',
+  xml: 'application/xml',
+};
+
+/**
+ * Build a handleRequest function for one of the text formats: text, markdown, json, csv or xml.
+ */
+export function createTextHandler(format) {
+  const convert = converters[format];
+  if (!convert) throw new Error(`Unknown text format "${format}"`);
+
+  return async function handleRequest({ context, response = null, url, redirects = [], options = {} }) {
+    const { buffer, headers, status } = await readBody({ context, response, url, options });
+    const contentType = headers['content-type'] ?? DEFAULT_CONTENT_TYPES[format];
+    const { markdown, metadata } = convert(decodeText(buffer, contentType));
+    return buildResult({
+      url,
+      redirects,
+      markdown,
+      contentType,
+      status,
+      headers,
+      metadata: { ...metadata, fileSize: buffer.length },
+    });
+  };
+}
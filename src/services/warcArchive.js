@@ -0,0 +1,228 @@
+// WARC/1.1 archiving of the HTTP exchanges behind a crawl. Records are appended to files in
+// WARC_DIR (one gzip member per record for .warc.gz) which rotate at WARC_MAX_FILE_BYTES.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash, randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+
+const CRLF = '\r\n';
+// the browser hands out decoded bodies, so headers describing the wire encoding are kept under X-Original-*
+const WIRE_ENCODING_HEADERS = ['content-encoding', 'transfer-encoding'];
+const EMPTY = Buffer.alloc(0);
+
+const warcDir = () => config.warc.dir ?? path.join(config.dataDir, 'warc');
+
+let currentFile = null; // { name, file, bytes, records, warcinfoId }
+let fileSequence = 0;
+
+const newRecordId = () => `<urn:uuid:${randomUUID()}>`;
+const digest = (buffer) => `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+const warcDate = (date = new Date()) => date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+/**
+ * Serialize one WARC/1.1 record. `fields` are WARC named fields (null values are left out);
+ * WARC-Block-Digest and Content-Length are computed from `block`.
+ */
+export function formatWarcRecord(fields, block = EMPTY) {
+  const lines = [
+    'WARC/1.1',
+    ...Object.entries(fields)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}: ${value}`),
+    `WARC-Block-Digest: ${digest(block)}`,
+    `Content-Length: ${block.length}`,
+  ];
+  return Buffer.concat([Buffer.from(`${lines.join(CRLF)}${CRLF}${CRLF}`), block, Buffer.from(`${CRLF}${CRLF}`)]);
+}
+
+const headerLines = (headers) => headers.map(({ name, value }) => `${name}: ${value}${CRLF}`).join('');
+
+/**
+ * HTTP request message (request line, headers, body) for a `request` record.
+ * `headers` is a list of { name, value }; a Host header is added when missing.
+ */
+export function httpRequestBlock({ method = 'GET', url, headers = [], body = null }) {
+  const target = new URL(url);
+  const withHost = headers.some(({ name }) => name.toLowerCase() === 'host') ? headers : [{ name: 'Host', value: target.host }, ...headers];
+  const head = `${method} ${target.pathname}${target.search} HTTP/1.1${CRLF}${headerLines(withHost)}${CRLF}`;
+  return Buffer.concat([Buffer.from(head), body ?? EMPTY]);
+}
+
+/**
+ * HTTP response message (status line, headers, body) for a `response` record.
+ * Content-Length is rewritten to the stored body and wire encodings are renamed to X-Original-*.
+ */
+export function httpResponseBlock({ status, statusText = '', headers = [], body = null }) {
+  const payload = body ?? EMPTY;
+  const kept = headers
+    .filter(({ name }) => name.toLowerCase() !== 'content-length')
+    .map(({ name, value }) => (WIRE_ENCODING_HEADERS.includes(name.toLowerCase()) ? { name: `X-Original-${name}`, value } : { name, value }));
+  const head = `${`HTTP/1.1 ${status} ${statusText}`.trimEnd()}${CRLF}${headerLines([...kept, { name: 'Content-Length', value: String(payload.length) }])}${CRLF}`;
+  return Buffer.concat([Buffer.from(head), payload]);
+}
+
+const encode = (record) => (config.warc.gzip ? zlib.gzipSync(record) : record);
+
+const openFile = () => {
+  fs.mkdirSync(warcDir(), { recursive: true });
+  fileSequence += 1;
+  const stamp = warcDate().replace(/[-:]/g, '');
+  const name = `flashcrawl-${stamp}-${process.pid}-${String(fileSequence).padStart(5, '0')}.warc${config.warc.gzip ? '.gz' : ''}`;
+  const warcinfoId = newRecordId();
+  const info = Buffer.from([
+    'software: flashcrawl',
+    'format: WARC File Format 1.1',
+    'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+    '',
+  ].join(CRLF));
+  const record = encode(formatWarcRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': warcinfoId,
+    'WARC-Date': warcDate(),
+    'WARC-Filename': name,
+    'Content-Type': 'application/warc-fields',
+  }, info));
+  const file = path.join(warcDir(), name);
+  fs.writeFileSync(file, record);
+  currentFile = { name, file, bytes: record.length, records: 0, warcinfoId };
+  logger.info(`[warc] writing ${file}`);
+};
+
+/**
+ * Append records ([{ fields, block }]) to the current WARC file, starting a new file first when
+ * they would push it past WARC_MAX_FILE_BYTES. One call's records are written together.
+ * Returns the file name.
+ */
+export function appendWarcRecords(records) {
+  if (!currentFile) openFile();
+  const encodeAll = () => records.map(({ fields, block }) => encode(formatWarcRecord({ ...fields, 'WARC-Warcinfo-ID': currentFile.warcinfoId }, block)));
+
+  let encoded = encodeAll();
+  const size = encoded.reduce((total, record) => total + record.length, 0);
+  // a file always takes at least one batch, so an oversized crawl still gets written
+  if (currentFile.records > 0 && currentFile.bytes + size > config.warc.maxFileBytes) {
+    openFile();
+    encoded = encodeAll();
+  }
+
+  fs.appendFileSync(currentFile.file, Buffer.concat(encoded));
+  currentFile.bytes += encoded.reduce((total, record) => total + record.length, 0);
+  currentFile.records += records.length;
+  return currentFile.name;
+}
+
+const isMainFrameNavigation = (request) => {
+  try {
+    return request.isNavigationRequest() && !request.frame().parentFrame();
+  } catch (_) {
+    return false;
+  }
+};
+
+const captureExchange = async (request, isDocument) => {
+  const response = await request.response().catch(() => null);
+  if (!response) return null;
+  const [requestHeaders, responseHeaders, body] = await Promise.all([
+    request.headersArray().catch(() => []),
+    response.headersArray().catch(() => []),
+    // redirect responses have no body
+    response.body().catch(() => null),
+  ]);
+  return {
+    isDocument,
+    url: request.url(),
+    method: request.method(),
+    requestHeaders,
+    requestBody: request.postDataBuffer(),
+    status: response.status(),
+    statusText: response.statusText(),
+    responseHeaders,
+    body,
+    date: new Date(),
+  };
+};
+
+/**
+ * Record the HTTP exchanges of a browser context: main-frame navigations (the document and its
+ * redirects) and, with `subresources`, every other finished request.
+ * Returns { addDownload(response), finish(), stop() }; finish() writes request/response record pairs
+ * and resolves { file, recordId, records }, where recordId is the final document's response record.
+ */
+export function startWarcRecording(context, { subresources = false } = {}) {
+  const captures = [];
+  let download = null;
+  let stopped = false;
+
+  const onRequestFinished = (request) => {
+    const isDocument = isMainFrameNavigation(request);
+    if (isDocument || subresources) captures.push(captureExchange(request, isDocument).catch(() => null));
+  };
+  context.on('requestfinished', onRequestFinished);
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    context.off('requestfinished', onRequestFinished);
+  };
+
+  return {
+    stop,
+
+    // a navigation that became a download has no readable response body; use the downloaded file
+    async addDownload(response) {
+      const headers = response.headers();
+      download = {
+        url: response.url(),
+        status: response.status(),
+        responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value })),
+        body: await response.body(),
+      };
+    },
+
+    async finish() {
+      stop();
+      const exchanges = (await Promise.all(captures)).filter(Boolean);
+      if (download) {
+        const exchange = exchanges.find((entry) => entry.isDocument && entry.url === download.url && !entry.body);
+        if (exchange) exchange.body = download.body;
+        else exchanges.push({ ...download, isDocument: true, method: 'GET', requestHeaders: [], requestBody: null, statusText: '', date: new Date() });
+      }
+      if (!exchanges.length) return null;
+
+      const records = [];
+      let recordId = null;
+      exchanges.forEach((exchange) => {
+        const responseId = newRecordId();
+        const date = warcDate(exchange.date);
+        records.push({
+          fields: {
+            'WARC-Type': 'response',
+            'WARC-Record-ID': responseId,
+            'WARC-Date': date,
+            'WARC-Target-URI': exchange.url,
+            'WARC-Payload-Digest': exchange.body ? digest(exchange.body) : null,
+            'Content-Type': 'application/http;msgtype=response',
+          },
+          block: httpResponseBlock({ ...exchange, headers: exchange.responseHeaders }),
+        });
+        records.push({
+          fields: {
+            'WARC-Type': 'request',
+            'WARC-Record-ID': newRecordId(),
+            'WARC-Date': date,
+            'WARC-Target-URI': exchange.url,
+            'WARC-Concurrent-To': responseId,
+            'Content-Type': 'application/http;msgtype=request',
+          },
+          block: httpRequestBlock({ method: exchange.method, url: exchange.url, headers: exchange.requestHeaders, body: exchange.requestBody }),
+        });
+        // redirects finish before the document they lead to, so the last navigation is the final page
+        if (exchange.isDocument) recordId = responseId;
+      });
+
+      return { file: appendWarcRecords(records), recordId, records: records.length };
+    },
+  };
+}
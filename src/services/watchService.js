@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createTwoFilesPatch } from 'diff';
+import { logger } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { CrawlError, describeFailure, formatError } from '../utils/errors.js';
+import { nextCronRun, parseCron } from '../utils/cron.js';
+import { parseCrawlOptions, redactCrawlOptions } from '../utils/crawlOptions.js';
+import { deliverWebhook, parseWebhookUrl } from '../utils/webhook.js';
+import { crawlUrl, parseTargetUrl } from './browserService.js';
+import { canAccess, meterApiKeyRun } from './apiKeys.js';
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const watchDir = path.join(config.dataDir, 'watches');
+const watches = new Map();
+let loaded = false;
+let ticking = false;
+let schedulerTimer = null;
+
+/**
+ * Parse an interval given as milliseconds or a duration string such as "90s", "15m", "6h", "1d".
+ * Returns milliseconds or null when unparsable.
+ */
+const parseInterval = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) && value > 0 ? value : null;
+  const match = String(value).trim().match(/^(\d+)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[(match[2] ?? 'ms').toLowerCase()];
+};
+
+const computeNextRun = (schedule, from = new Date()) => {
+  if (schedule.cron) return nextCronRun(parseCron(schedule.cron), from)?.toISOString() ?? null;
+  return new Date(from.getTime() + schedule.intervalMs).toISOString();
+};
+
+const watchFile = (id) => path.join(watchDir, `${id}.json`);
+
+// write to a temp file and rename so a crash never leaves a half-written watch behind;
+// the options may hold credentials for the watched site, so only the server's user may read it
+const persist = (watch) => {
+  fs.mkdirSync(watchDir, { recursive: true, mode: 0o700 });
+  const file = watchFile(watch.id);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(watch, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+};
+
+const ensureLoaded = () => {
+  if (loaded) return;
+  loaded = true;
+  if (!fs.existsSync(watchDir)) return;
+
+  fs.readdirSync(watchDir)
+    .filter((name) => name.endsWith('.json'))
+    .forEach((name) => {
+      try {
+        const watch = JSON.parse(fs.readFileSync(path.join(watchDir, name), 'utf8'));
+        watch.running = false;
+        watches.set(watch.id, watch);
+      } catch (err) {
+        logger.error(`[watch] could not load ${name}: ${formatError(err)}`);
+      }
+    });
+  logger.info(`[watch] loaded ${watches.size} watches from ${watchDir}`);
+};
+
+/**
+ * Public view of a watch. Version markdown is only returned by the history endpoint, and header
+ * values and proxy credentials in `options` are redacted.
+ */
+const summarizeWatch = (watch) => {
+  const { versions, running, ...rest } = watch;
+  const latest = versions[versions.length - 1];
+  return {
+    ...rest,
+    options: redactCrawlOptions(rest.options),
+    versionCount: versions.length,
+    latestHash: latest?.hash ?? null,
+  };
+};
+
+/**
+ * Validate a watch definition from a request body.
+ * Exactly one of `cron` or `interval` (ms number or duration string) is required.
+ */
+const parseWatchDefinition = (body = {}) => {
+  const targetUrl = parseTargetUrl(body.url);
+  const options = parseCrawlOptions(body.options);
+
+  const hasCron = body.cron !== undefined && body.cron !== null && body.cron !== '';
+  const hasInterval = body.interval !== undefined && body.interval !== null && body.interval !== '';
+  if (hasCron === hasInterval) {
+    throw new CrawlError('Provide exactly one of cron or interval', { statusCode: 400 });
+  }
+
+  let schedule;
+  if (hasCron) {
+    let fields;
+    try {
+      fields = parseCron(body.cron);
+    } catch (err) {
+      throw new CrawlError(err.message, { statusCode: 400 });
+    }
+    // e.g. "0 0 30 2 *" parses but never fires; the watch would stop after its baseline run
+    if (!nextCronRun(fields, new Date())) {
+      throw new CrawlError('cron expression never fires', { statusCode: 400 });
+    }
+    schedule = { cron: String(body.cron).trim() };
+  } else {
+    const intervalMs = parseInterval(body.interval);
+    if (!intervalMs || intervalMs < config.watches.minIntervalMs) {
+      throw new CrawlError(`interval must be a duration of at least ${config.watches.minIntervalMs}ms (e.g. "15m")`, { statusCode: 400 });
+    }
+    schedule = { intervalMs };
+  }
+
+  const webhook = parseWebhookUrl(body.webhookUrl);
+  if (webhook?.error) throw new CrawlError(webhook.error, { statusCode: 400 });
+
+  return { url: targetUrl.href, schedule, options, webhookUrl: webhook?.url ?? null };
+};
+
+const notifyChange = async (watch, previous, current) => {
+  const diff = createTwoFilesPatch(
+    watch.url,
+    watch.url,
+    previous.markdown,
+    current.markdown,
+    previous.crawledAt,
+    current.crawledAt,
+  );
+  logger.info(`[watch] ${watch.id} changed (${previous.hash.slice(0, 12)} -> ${current.hash.slice(0, 12)})`);
+  if (!watch.webhookUrl) return;
+
+  const delivery = await deliverWebhook(watch.webhookUrl, 'watch.changed', {
+    watchId: watch.id,
+    url: watch.url,
+    previousHash: previous.hash,
+    hash: current.hash,
+    previousCrawledAt: previous.crawledAt,
+    crawledAt: current.crawledAt,
+    diff,
+  });
+  watch.lastWebhook = { ...delivery, at: new Date().toISOString() };
+};
+
+/**
+ * Crawl a watch once, store a new version when the hash changed and fire the change webhook.
+ * The run is metered against the API key that created the watch.
+ */
+const runWatch = async (watch) => {
+  watch.running = true;
+  const startedAt = new Date();
+  let releaseQuota;
+  try {
+    releaseQuota = meterApiKeyRun(watch.apiKeyId, watch.url);
+    // always go to the origin: a cached result would hide the change we are looking for
+    const result = await crawlUrl(new URL(watch.url), { ...watch.options, cache: false });
+    const previous = watch.versions[watch.versions.length - 1];
+    watch.lastError = null;
+
+    if (!previous || previous.hash !== result.hash) {
+      const version = { hash: result.hash, crawledAt: startedAt.toISOString(), markdown: result.markdown };
+      watch.versions.push(version);
+      if (watch.versions.length > config.watches.historyLimit) {
+        watch.versions.splice(0, watch.versions.length - config.watches.historyLimit);
+      }
+      if (previous) {
+        watch.lastChangeAt = version.crawledAt;
+        await notifyChange(watch, previous, version);
+      }
+    }
+  } catch (err) {
+    logger.warn(`[watch] ${watch.id} crawl failed for ${watch.url}: ${formatError(err)}`);
+    // failed, blocked and over-quota runs store no version, so an error or challenge page never counts as a change
+    watch.lastError = { ...describeFailure(err), at: new Date().toISOString() };
+  } finally {
+    releaseQuota?.();
+    watch.running = false;
+    watch.lastRunAt = startedAt.toISOString();
+    watch.nextRunAt = computeNextRun(watch.schedule, new Date());
+    // the watch may have been deleted while it was running
+    if (watches.has(watch.id)) persist(watch);
+  }
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    ensureLoaded();
+    const now = Date.now();
+    const due = Array.from(watches.values()).filter(
+      (watch) => !watch.running && watch.nextRunAt && Date.parse(watch.nextRunAt) <= now,
+    );
+    // run sequentially; the browser pool already bounds concurrency for interactive crawls
+    for (const watch of due) {
+      // eslint-disable-next-line no-await-in-loop
+      await runWatch(watch);
+    }
+  } catch (err) {
+    logger.error(`[watch] scheduler tick failed: ${formatError(err)}`);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Load persisted watches and start checking for due runs every WATCH_TICK_MS.
+ */
+const startWatchScheduler = () => {
+  if (schedulerTimer) return;
+  ensureLoaded();
+  schedulerTimer = setInterval(tick, config.watches.tickMs);
+  schedulerTimer.unref?.();
+  tick();
+};
+
+const stopWatchScheduler = () => {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+/**
+ * Express handler for POST /watches. The first crawl runs on the next scheduler tick.
+ */
+async function handleCreateWatch(req, res) {
+  let definition;
+  try {
+    definition = parseWatchDefinition(req.body);
+  } catch (err) {
+    return res.status(err.statusCode ?? 400).json({ error: err.message, ...err.details });
+  }
+
+  ensureLoaded();
+  const watch = {
+    id: randomUUID(),
+    ...definition,
+    createdAt: new Date().toISOString(),
+    // baseline version is captured right away
+    nextRunAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastChangeAt: null,
+    lastError: null,
+    lastWebhook: null,
+    apiKeyId: req.apiKey?.id ?? null,
+    versions: [],
+    running: false,
+  };
+  watches.set(watch.id, watch);
+  persist(watch);
+  logger.info(`[watch] created ${watch.id} for ${watch.url}`);
+  return res.status(201).location(`/watches/${watch.id}`).json(summarizeWatch(watch));
+}
+
+// watches of other API keys are reported as not found
+const findWatch = (req) => {
+  ensureLoaded();
+  const watch = watches.get(req.params.id);
+  return watch && canAccess(req.apiKey, watch.apiKeyId) ? watch : null;
+};
+
+/**
+ * Express handler for GET /watches: the caller's watches (every watch for admin keys).
+ */
+async function handleListWatches(req, res) {
+  ensureLoaded();
+  const visible = Array.from(watches.values()).filter((watch) => canAccess(req.apiKey, watch.apiKeyId));
+  return res.json({ watches: visible.map(summarizeWatch) });
+}
+
+async function handleGetWatch(req, res) {
+  const watch = findWatch(req);
+  if (!watch) return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+  return res.json(summarizeWatch(watch));
+}
+
+/**
+ * Express handler for GET /watches/:id/history: stored versions, newest first.
+ */
+async function handleGetWatchHistory(req, res) {
+  const watch = findWatch(req);
+  if (!watch) return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+  return res.json({ id: watch.id, url: watch.url, versions: [...watch.versions].reverse() });
+}
+
+async function handleDeleteWatch(req, res) {
+  const watch = findWatch(req);
+  if (!watch) return res.status(404).json({ error: 'Watch not found', id: req.params.id });
+  watches.delete(watch.id);
+  fs.rmSync(watchFile(watch.id), { force: true });
+  logger.info(`[watch] deleted ${watch.id}`);
+  return res.status(204).end();
+}
+
+export {
+  handleCreateWatch,
+  handleDeleteWatch,
+  handleGetWatch,
+  handleGetWatchHistory,
+  handleListWatches,
+  parseInterval,
+  startWatchScheduler,
+  stopWatchScheduler,
+};
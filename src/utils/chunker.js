@@ -0,0 +1,100 @@
+// Heading-aware markdown chunking for retrieval pipelines. Chunks never span two sections;
+// sections longer than the maximum are split at paragraph, line, sentence or word boundaries.
+import { createHash } from 'crypto';
+
+// rough average for English text with common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE_PATTERN = /^[ \t]{0,3}(`{3,}|~{3,})/;
+
+/**
+ * Split markdown into sections at ATX headings outside fenced code blocks.
+ * Returns [{ start, end, headings }] where headings is the breadcrumb of the section's heading.
+ */
+const splitSections = (markdown) => {
+  const sections = [];
+  const stack = [];
+  let fence = null;
+  let sectionStart = 0;
+  let headings = [];
+  let offset = 0;
+
+  markdown.split('\n').forEach((line) => {
+    const fenceMatch = FENCE_PATTERN.exec(line);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) fence = marker;
+      else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+    }
+
+    const heading = !fence && !fenceMatch && HEADING_PATTERN.exec(line);
+    if (heading) {
+      if (offset > sectionStart) sections.push({ start: sectionStart, end: offset, headings });
+      const level = heading[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: heading[2] });
+      headings = stack.map((entry) => entry.text);
+      sectionStart = offset;
+    }
+    offset += line.length + 1;
+  });
+  if (markdown.length > sectionStart) sections.push({ start: sectionStart, end: markdown.length, headings });
+  return sections;
+};
+
+// best place to end a piece in (start, limit]: paragraph, line, sentence, then word boundary
+const findBreak = (markdown, start, limit) => {
+  const window = markdown.slice(start, limit);
+  const floor = Math.floor(window.length / 2);
+  for (const separator of ['\n\n', '\n', '. ', ' ']) {
+    const index = window.lastIndexOf(separator);
+    if (index > floor) return start + index + separator.length;
+  }
+  return limit;
+};
+
+// move an overlap start forward to the beginning of a word so chunks do not open mid-word
+const alignToWord = (markdown, position, limit) => {
+  let index = position;
+  while (index < limit && !/\s/.test(markdown[index - 1] ?? ' ')) index += 1;
+  return index < limit ? index : position;
+};
+
+/**
+ * Split markdown into chunks of at most `maxChars` characters, with `overlap` characters repeated
+ * between consecutive chunks of the same section.
+ * Returns [{ index, text, headings, start, end, tokens, hash }]; `start`/`end` are character offsets
+ * into `markdown` (end exclusive) and `tokens` is an estimate.
+ */
+export function chunkMarkdown(markdown, { maxChars = 2000, overlap = 200 } = {}) {
+  const chunks = [];
+  const emit = (start, end, headings) => {
+    const raw = markdown.slice(start, end);
+    const text = raw.trim();
+    if (!text) return;
+    const trimmedStart = start + (raw.length - raw.trimStart().length);
+    chunks.push({
+      index: chunks.length,
+      text,
+      headings,
+      start: trimmedStart,
+      end: trimmedStart + text.length,
+      tokens: Math.ceil(text.length / CHARS_PER_TOKEN),
+      hash: createHash('sha256').update(text).digest('hex'),
+    });
+  };
+
+  splitSections(markdown ?? '').forEach(({ start, end, headings }) => {
+    let position = start;
+    while (position < end) {
+      const limit = Math.min(position + maxChars, end);
+      const pieceEnd = limit < end ? findBreak(markdown, position, limit) : end;
+      emit(position, pieceEnd, headings);
+      if (pieceEnd >= end) break;
+      const next = pieceEnd - overlap;
+      position = next > position ? alignToWord(markdown, next, pieceEnd) : pieceEnd;
+    }
+  });
+  return chunks;
+}
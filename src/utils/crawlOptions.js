@@ -0,0 +1,246 @@
+import { config, constants } from './config.js';
+import { CrawlError } from './errors.js';
+import { OUTPUT_FORMATS } from './formats.js';
+
+const WAIT_UNTIL_VALUES = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const SCREENSHOT_VALUES = ['fullPage', 'viewport', 'both'];
+const SCREENSHOT_FORMATS = ['png', 'jpeg'];
+const ARTIFACT_DELIVERY_VALUES = ['base64', 'url'];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:'];
+const PROXY_POOL_PATTERN = /^[\w.-]{1,64}$/;
+const MAX_HEADERS = 50;
+const MIN_TIMEOUT_MS = 1000;
+const VIEWPORT_LIMITS = { min: 100, max: 4000 };
+const CHUNK_LIMITS = { min: 200, max: 100000 };
+
+/**
+ * Options applied when a caller does not set them.
+ */
+const defaultCrawlOptions = () => ({
+  waitUntil: 'domcontentloaded',
+  waitForSelector: null,
+  timeoutMs: constants.NAVIGATION_RETRY_TIMEOUT_MS,
+  sanitize: config.sanitizeHtml,
+  headers: {},
+  userAgent: constants.DEFAULT_USER_AGENT,
+  viewport: null,
+  locale: null,
+  ignoreRobots: false,
+  cache: true,
+  inventory: false,
+  pages: false,
+  pageRange: null,
+  format: ['markdown'],
+  chunks: false,
+  chunkMaxChars: config.chunks.maxChars,
+  chunkOverlap: config.chunks.overlap,
+  screenshot: null,
+  screenshotFormat: 'png',
+  renderPdf: false,
+  artifactDelivery: 'base64',
+  proxy: null,
+  archive: config.warc.enabled,
+  archiveSubresources: config.warc.subresources,
+});
+
+// validators return invalid(message) to reject a value; a symbol key cannot clash with header names
+const INVALID = Symbol('invalid');
+const invalid = (message) => ({ [INVALID]: message });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const readBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return undefined;
+};
+
+const readInteger = (value, min, max) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : undefined;
+};
+
+// "3", "2-10", "5-" (to the last page) or { start, end }; pages are 1-based and inclusive
+const readPageRange = (value) => {
+  let start;
+  let end;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    ({ start, end = null } = value);
+  } else {
+    const match = String(value).trim().match(/^(\d+)(?:\s*(-)\s*(\d+)?)?$/);
+    if (!match) return undefined;
+    start = match[1];
+    end = match[2] ? match[3] ?? null : match[1];
+  }
+  start = readInteger(start, 1, Number.MAX_SAFE_INTEGER);
+  if (start === undefined) return undefined;
+  if (end === null) return { start, end: null };
+  end = readInteger(end, start, Number.MAX_SAFE_INTEGER);
+  return end === undefined ? undefined : { start, end };
+};
+
+// one validator per field: returns the normalized value, or invalid(message)
+const validators = {
+  waitUntil: (value) =>
+    WAIT_UNTIL_VALUES.includes(value) ? value : invalid(`must be one of ${WAIT_UNTIL_VALUES.join(', ')}`),
+  waitForSelector: (value) =>
+    typeof value === 'string' && value.trim() && value.length <= 500
+      ? value.trim()
+      : invalid('must be a non-empty CSS selector of at most 500 characters'),
+  timeoutMs: (value) =>
+    readInteger(value, MIN_TIMEOUT_MS, config.maxTimeoutMs)
+    ?? invalid(`must be an integer between ${MIN_TIMEOUT_MS} and ${config.maxTimeoutMs}`),
+  sanitize: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  ignoreRobots: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  cache: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  inventory: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  pages: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  format: (value) => {
+    const formats = (Array.isArray(value) ? value : String(value).split(','))
+      .map((format) => String(format).trim().toLowerCase())
+      .filter(Boolean);
+    if (!formats.length || formats.some((format) => !OUTPUT_FORMATS.includes(format))) {
+      return invalid(`must be one or more of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return [...new Set(formats)];
+  },
+  chunks: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  chunkMaxChars: (value) =>
+    readInteger(value, CHUNK_LIMITS.min, CHUNK_LIMITS.max)
+    ?? invalid(`must be an integer between ${CHUNK_LIMITS.min} and ${CHUNK_LIMITS.max}`),
+  chunkOverlap: (value) => readInteger(value, 0, CHUNK_LIMITS.max) ?? invalid('must be a non-negative integer'),
+  pageRange: (value) =>
+    readPageRange(value) ?? invalid('must be a page range such as "3", "2-10" or "5-", or { start, end }'),
+  screenshot: (value) =>
+    SCREENSHOT_VALUES.includes(value) ? value : invalid(`must be one of ${SCREENSHOT_VALUES.join(', ')}`),
+  screenshotFormat: (value) =>
+    SCREENSHOT_FORMATS.includes(value) ? value : invalid(`must be one of ${SCREENSHOT_FORMATS.join(', ')}`),
+  renderPdf: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  artifactDelivery: (value) =>
+    ARTIFACT_DELIVERY_VALUES.includes(value) ? value : invalid(`must be one of ${ARTIFACT_DELIVERY_VALUES.join(', ')}`),
+  proxy: (value) => {
+    if (typeof value !== 'string' || !value.trim()) return invalid('must be a proxy pool name, a proxy URL or "none"');
+    const proxy = value.trim();
+    if (!proxy.includes('://')) {
+      return PROXY_POOL_PATTERN.test(proxy) ? proxy : invalid('must be a proxy pool name, a proxy URL or "none"');
+    }
+    if (!config.proxies.allowCustom) return invalid('custom proxy URLs are disabled on this server');
+    let parsed;
+    try {
+      parsed = new URL(proxy);
+    } catch {
+      return invalid('must be an http, https or socks5 proxy URL');
+    }
+    if (!PROXY_PROTOCOLS.includes(parsed.protocol) || !parsed.hostname) return invalid('must be an http, https or socks5 proxy URL');
+    // Chromium cannot authenticate to SOCKS proxies
+    if (parsed.protocol === 'socks5:' && (parsed.username || parsed.password)) return invalid('socks5 proxies with credentials are not supported');
+    return proxy;
+  },
+  archive: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  archiveSubresources: (value) => readBoolean(value) ?? invalid('must be a boolean'),
+  userAgent: (value) =>
+    typeof value === 'string' && value.trim() && value.length <= 512 && !/[\r\n]/.test(value)
+      ? value.trim()
+      : invalid('must be a single-line string of at most 512 characters'),
+  locale: (value) => (typeof value === 'string' && LOCALE_PATTERN.test(value) ? value : invalid('must be a BCP 47 locale such as en-US')),
+  viewport: (value) => {
+    const { min, max } = VIEWPORT_LIMITS;
+    const width = readInteger(value?.width, min, max);
+    const height = readInteger(value?.height, min, max);
+    if (typeof value !== 'object' || width === undefined || height === undefined) {
+      return invalid(`must be { width, height } with integers between ${min} and ${max}`);
+    }
+    return { width, height };
+  },
+  headers: (value) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return invalid('must be an object of header names to string values');
+    const entries = Object.entries(value);
+    if (entries.length > MAX_HEADERS) return invalid(`must contain at most ${MAX_HEADERS} headers`);
+    const headers = {};
+    for (const [name, headerValue] of entries) {
+      if (!HEADER_NAME_PATTERN.test(name)) return invalid(`invalid header name "${name}"`);
+      if (typeof headerValue !== 'string' || /[\r\n]/.test(headerValue)) return invalid(`header "${name}" must be a single-line string`);
+      headers[name.toLowerCase()] = headerValue;
+    }
+    return headers;
+  },
+};
+
+/**
+ * Validate a per-request options object (JSON object, or a JSON string from a query parameter).
+ * `overrides` are raw option values given outside the object (e.g. a top-level `format` parameter)
+ * and win over the same fields inside it.
+ * Returns the options merged over the defaults, or throws a CrawlError (400) whose
+ * `details.fields` maps each invalid field to a message.
+ */
+const parseCrawlOptions = (input, overrides = {}) => {
+  const options = defaultCrawlOptions();
+  const presentOverrides = Object.fromEntries(Object.entries(overrides).filter(([, value]) => !isMissing(value)));
+  if (isMissing(input) && !Object.keys(presentOverrides).length) return options;
+
+  let raw = isMissing(input) ? {} : input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw new CrawlError('Invalid crawl options', { statusCode: 400, details: { fields: { options: 'must be a JSON object' } } });
+    }
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw) || raw === null) {
+    throw new CrawlError('Invalid crawl options', { statusCode: 400, details: { fields: { options: 'must be an object' } } });
+  }
+
+  const fields = {};
+  Object.entries({ ...raw, ...presentOverrides }).forEach(([field, value]) => {
+    const validate = validators[field];
+    if (!validate) {
+      fields[field] = 'unknown option';
+      return;
+    }
+    if (isMissing(value)) return;
+    const normalized = validate(value);
+    if (normalized && typeof normalized === 'object' && INVALID in normalized) {
+      fields[field] = normalized[INVALID];
+      return;
+    }
+    options[field] = normalized;
+  });
+
+  if (!fields.chunkOverlap && !fields.chunkMaxChars && options.chunkOverlap >= options.chunkMaxChars) {
+    fields.chunkOverlap = 'must be smaller than chunkMaxChars';
+  }
+
+  if (Object.keys(fields).length) {
+    throw new CrawlError('Invalid crawl options', { statusCode: 400, details: { fields } });
+  }
+  return options;
+};
+
+const REDACTED = '[redacted]';
+
+/**
+ * Crawl options safe to show back to API callers: custom header values and proxy URL credentials
+ * are replaced, since they often carry cookies, tokens and passwords.
+ */
+const redactCrawlOptions = (options = {}) => {
+  const redacted = { ...options };
+  if (options.headers) {
+    redacted.headers = Object.fromEntries(Object.keys(options.headers).map((name) => [name, REDACTED]));
+  }
+  if (typeof options.proxy === 'string' && options.proxy.includes('://')) {
+    try {
+      const url = new URL(options.proxy);
+      const credentials = url.username || url.password ? `${REDACTED}@` : '';
+      redacted.proxy = `${url.protocol}//${credentials}${url.host}`;
+    } catch (_) {
+      redacted.proxy = REDACTED;
+    }
+  }
+  return redacted;
+};
+
+export { WAIT_UNTIL_VALUES, defaultCrawlOptions, parseCrawlOptions, redactCrawlOptions };
@@ -0,0 +1,93 @@
+// Minimal 5-field cron (minute hour day-of-month month day-of-week), evaluated in server local time.
+// Supports `*`, lists (`1,15`), ranges (`1-5`) and steps (`*/15`, `10-50/10`). Day-of-week 7 is Sunday.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+// give up looking for a match after this many years (e.g. "0 0 30 2 *" never fires)
+const SEARCH_LIMIT_YEARS = 5;
+
+const parseField = (expr, { name, min, max }) => {
+  const values = new Set();
+  expr.split(',').forEach((part) => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name} field "${expr}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) end = stepText === undefined ? start : max;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field "${expr}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+};
+
+/**
+ * Parse a cron expression. Throws an Error describing the first invalid field.
+ */
+const parseCron = (expression) => {
+  const parts = String(expression ?? '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*',
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+};
+
+/**
+ * Next time strictly after `from` that matches the parsed cron, or null if none within five years.
+ */
+const nextCronRun = (cron, from = new Date()) => {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+  while (date <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+export { nextCronRun, parseCron };
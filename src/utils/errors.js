@@ -1,5 +1,95 @@
 import { logger } from './logger.js';
 
+/**
+ * Stable, machine-readable codes for crawl failures and the HTTP status each is answered with.
+ * Upstream and network problems use gateway statuses; the upstream's own status travels in `upstreamStatus`.
+ */
+const ERROR_CODES = Object.freeze({
+  DNS_FAILURE: 502,
+  CONNECTION_REFUSED: 502,
+  TLS_ERROR: 502,
+  NETWORK_ERROR: 502,
+  NAV_TIMEOUT: 504,
+  TOO_MANY_REDIRECTS: 502,
+  UPSTREAM_4XX: 502,
+  UPSTREAM_5XX: 502,
+  BLOCKED: 502,
+  TOO_LARGE: 502,
+  UNSUPPORTED_TYPE: 502,
+  ADDRESS_BLOCKED: 403,
+  ROBOTS_DISALLOWED: 403,
+  API_KEY_REVOKED: 403,
+  DOMAIN_NOT_ALLOWED: 403,
+  QUOTA_EXCEEDED: 429,
+  BROWSER_LAUNCH_FAILED: 503,
+  BROWSER_UNAVAILABLE: 503,
+  ARCHIVE_FAILED: 500,
+  CRAWL_FAILED: 500,
+});
+
+/**
+ * Error carrying the HTTP status (and optional JSON body fields) to send back to the client.
+ * With a `code` from ERROR_CODES the status defaults to the code's status and `code` is added to the body.
+ */
+class CrawlError extends Error {
+  constructor(message, { statusCode, code, details } = {}) {
+    super(message);
+    this.name = 'CrawlError';
+    this.code = code ?? null;
+    this.statusCode = statusCode ?? ERROR_CODES[code] ?? 500;
+    this.details = code ? { code, ...details } : details;
+  }
+}
+
+// Playwright / Chromium / Node messages for each code, most specific first
+const MESSAGE_CODES = [
+  [/net::ERR_NAME_NOT_RESOLVED|net::ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/, 'DNS_FAILURE', 'Could not resolve host'],
+  [/net::ERR_CONNECTION_REFUSED|ECONNREFUSED/, 'CONNECTION_REFUSED', 'Connection refused by upstream'],
+  [/net::ERR_(?:CERT_|SSL_|BAD_SSL)|ERR_TLS|EPROTO|certificate|SSL routines/i, 'TLS_ERROR', 'TLS handshake with upstream failed'],
+  [/net::ERR_TOO_MANY_REDIRECTS/, 'TOO_MANY_REDIRECTS', 'Too many redirects'],
+  [/Timeout \d+ms exceeded|TimeoutError|net::ERR_TIMED_OUT|ETIMEDOUT/, 'NAV_TIMEOUT', 'Timed out loading the page'],
+  [/Executable doesn't exist|Failed to launch|browserType\.launch/i, 'BROWSER_LAUNCH_FAILED', 'Browser could not be started'],
+  [/net::ERR_[A-Z_]+|ECONNRESET|EHOSTUNREACH|ENETUNREACH/, 'NETWORK_ERROR', 'Network error reaching upstream'],
+];
+
+/**
+ * Turn any crawl failure into a CrawlError. CrawlErrors pass through; other errors are classified
+ * from their message (CRAWL_FAILED when nothing matches). `extra` fields (e.g. upstreamStatus)
+ * are added to the body of coded errors unless the error already has them.
+ */
+const toCrawlError = (err, extra = {}) => {
+  if (err instanceof CrawlError) {
+    if (err.code) err.details = { ...extra, ...err.details };
+    return err;
+  }
+  const raw = String(err?.message ?? err);
+  const [, code, message] = MESSAGE_CODES.find(([pattern]) => pattern.test(raw)) ?? [null, 'CRAWL_FAILED', 'Failed to crawl URL'];
+  return new CrawlError(message, { code, details: { ...extra, details: raw } });
+};
+
+/**
+ * Compact description of a failed crawl for job, watch and site crawl records:
+ * { message, code, upstreamStatus?, vendor? }
+ */
+const describeFailure = (err) => {
+  const failure = toCrawlError(err);
+  const { code, upstreamStatus, vendor } = failure.details ?? {};
+  return {
+    message: failure.message,
+    code: code ?? null,
+    ...(upstreamStatus !== undefined && { upstreamStatus }),
+    ...(vendor && { vendor }),
+  };
+};
+
+/**
+ * CrawlError for an upstream response that is not a success (UPSTREAM_4XX / UPSTREAM_5XX).
+ */
+const upstreamError = (status, details = {}) => new CrawlError(`Upstream responded with ${status}`, {
+  code: status >= 500 ? 'UPSTREAM_5XX' : 'UPSTREAM_4XX',
+  details: { upstreamStatus: status, ...details },
+});
+
 const formatError = (value) => {
   if (value instanceof Error) {
     return value.stack || value.message || value.toString();
@@ -24,4 +114,4 @@ const registerErrorHandlers = () => {
   process.on('uncaughtException', (err) => handleFatalError('uncaughtException', err));
 };
 
-export { formatError, handleFatalError, registerErrorHandlers };
+export { CrawlError, ERROR_CODES, describeFailure, formatError, handleFatalError, registerErrorHandlers, toCrawlError, upstreamError };
@@ -0,0 +1,94 @@
+// Alternative renderings of a crawl result: plain text, cleaned HTML and markdown with YAML front matter.
+import { createHash } from 'crypto';
+
+export const OUTPUT_FORMATS = ['markdown', 'text', 'html', 'frontmatter'];
+
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|(?:\s*:?-{3,}:?\s*\|)+\s*$/;
+const FENCE_LINE = /^\s*(?:`{3,}|~{3,})/;
+
+/**
+ * Strip markdown syntax, keeping the readable text (link text, image alt text, code contents).
+ * Table rows become tab-separated lines.
+ */
+export function markdownToText(markdown) {
+  const lines = (markdown ?? '').split('\n')
+    .filter((line) => !FENCE_LINE.test(line) && !TABLE_DIVIDER.test(line))
+    .map((line) => (TABLE_ROW.test(line)
+      ? line.trim().slice(1, -1).split(/(?<!\\)\|/).map((cell) => cell.trim()).join('\t')
+      : line));
+
+  return lines.join('\n')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^([ \t]*)(?:[-*+]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, '$1')
+    .replace(/^[ \t]*(?:-{3,}|\*{3,}|_{3,}|—)[ \t]*$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(?<![\w*])([*_])(?!\s)(.+?)(?<!\s)\1(?![\w*])/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const isEmpty = (value) =>
+  value === null
+  || value === undefined
+  || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// JSON strings are valid YAML double-quoted scalars; plain keys are kept bare when safe
+const yamlScalar = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+const yamlKey = (key) => (/^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key));
+
+const toYamlLines = (value, indent = '') => {
+  if (Array.isArray(value)) {
+    return value.filter((item) => !isEmpty(item)).flatMap((item) => {
+      if (typeof item !== 'object') return [`${indent}- ${yamlScalar(item)}`];
+      // objects whose fields are all empty render no lines and are left out like other empty items
+      const [first, ...rest] = toYamlLines(item, `${indent}  `);
+      return first === undefined ? [] : [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  return Object.entries(value)
+    .filter(([, item]) => !isEmpty(item))
+    .flatMap(([key, item]) => {
+      if (typeof item !== 'object') return [`${indent}${yamlKey(key)}: ${yamlScalar(item)}`];
+      const lines = toYamlLines(item, `${indent}  `);
+      return lines.length ? [`${indent}${yamlKey(key)}:`, ...lines] : [];
+    });
+};
+
+/**
+ * Markdown preceded by a YAML front-matter block with the source URL and page metadata.
+ * JSON-LD is left out; empty fields are omitted.
+ */
+export function toFrontMatter(result) {
+  const { jsonLd, ...metadata } = result.metadata ?? {};
+  const lines = toYamlLines({ source: result.url, ...metadata });
+  return `---\n${lines.join('\n')}\n---\n\n${result.markdown ?? ''}`;
+}
+
+const hashOf = (content) => createHash('sha256').update(content).digest('hex');
+
+/**
+ * Build the requested renderings: { [format]: { content, hash } }.
+ * `html` is the cleaned HTML kept by the handler and is null for content types without one.
+ */
+export function buildFormats(result, formats) {
+  const renderers = {
+    markdown: () => result.markdown ?? '',
+    text: () => markdownToText(result.markdown),
+    html: () => result.html ?? null,
+    frontmatter: () => toFrontMatter(result),
+  };
+  return Object.fromEntries(formats.map((format) => {
+    const content = renderers[format]();
+    return [format, content === null ? null : { content, hash: hashOf(content) }];
+  }));
+}
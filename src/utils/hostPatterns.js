@@ -0,0 +1,15 @@
+/**
+ * Compile a hostname pattern into a predicate over lower-case hostnames.
+ *   "*"              every host
+ *   "example.com"    example.com and www.example.com
+ *   "*.example.com"  example.com and any subdomain
+ */
+export function compileHostPattern(pattern) {
+  const normalized = String(pattern).trim().toLowerCase();
+  if (normalized === '*') return () => true;
+  if (normalized.startsWith('*.')) {
+    const apex = normalized.slice(2);
+    return (host) => host === apex || host.endsWith(`.${apex}`);
+  }
+  return (host) => host === normalized || host === `www.${normalized}`;
+}
@@ -1,8 +1,14 @@
 import { URL } from 'url';
 import { logger } from './logger.js';
+import { CrawlError } from './errors.js';
 import TurndownService from 'turndown';
 import { gfm } from 'turndown-plugin-gfm';
-import pdf2md from '@opendocsg/pdf2md';
+// pdf2md's own parse/transform steps, used directly so pages can be kept apart and limited to a range.
+// These lib/ paths and the numPages override in convertPdfBuffer are private internals, which is
+// why package.json pins the exact pdf2md version; re-check both before bumping it.
+import pdfParser from '@opendocsg/pdf2md/lib/util/pdf.js';
+import pdfTransformations from '@opendocsg/pdf2md/lib/util/transformations.js';
+import { buildMetadata, decodeEntities, readAttributes, readHeadFromHtml } from './metadata.js';
 
 const TRACKER_PREFIXES = ['utm_', 'ref', 'mc_', 'smid'];
 const TRACKER_EXACT = ['gclid', 'fbclid', 'igshid'];
@@ -79,7 +85,11 @@ const NOISE_KEYWORDS = [
 
 const SCORE_CONTENT_FLOOR = 150;
 
-function sanitizeUrl(rawUrl) {
+// set in the page on elements matched by an extraction rule's `keep` selectors; see extractHtmlContent
+const KEEP_ATTRIBUTE = 'data-flashcrawl-keep';
+const TURNDOWN_REMOVED_TAGS = ['nav', 'footer', 'header', 'form', 'aside'];
+
+export function sanitizeUrl(rawUrl) {
   if (!rawUrl) return rawUrl;
 
   try {
@@ -123,7 +133,13 @@ const createTurndown = () => {
   service.use(gfm);
 
   service.keep(['figure', 'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td']);
-  service.remove?.(['nav', 'footer', 'header', 'form', 'aside', '.comments', '#comments']);
+  service.remove?.(TURNDOWN_REMOVED_TAGS);
+
+  // added rules win over remove(), so chrome that an extraction rule kept is converted like any block
+  service.addRule('keepMarked', {
+    filter: (node) => TURNDOWN_REMOVED_TAGS.includes(node.nodeName.toLowerCase()) && Boolean(node.closest?.(`[${KEEP_ATTRIBUTE}]`)),
+    replacement: (content, node) => (node.isBlock ? `\n\n${content}\n\n` : content),
+  });
 
   service.addRule('dropEmptyHeadings', {
     filter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
@@ -227,8 +243,102 @@ export const cleanMarkdown = (markdown) => {
   return output.trim();
 };
 
-export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
-  let html, metadata;
+// Resolve, de-duplicate and sanitize raw hrefs; non-http(s) targets are dropped.
+const normalizeDiscoveredLinks = (hrefs, baseUrl) => {
+  const seen = new Set();
+  (hrefs || []).forEach((href) => {
+    try {
+      const resolved = new URL(href, baseUrl);
+      if (!['http:', 'https:'].includes(resolved.protocol)) return;
+      seen.add(sanitizeUrl(resolved.href));
+    } catch {
+      // ignore unparsable hrefs
+    }
+  });
+  return Array.from(seen);
+};
+
+// Link and image inventory of a page. Raw entries come from the page context (or the regex
+// fallback) before any content stripping, so navigation and footer links are included:
+//   links: [{ href, text, rel }]   images: [{ src, alt, width, height }]
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const readDimension = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+// resolve against the page URL; only http(s) targets are kept
+const toAbsolute = (href, baseUrl) => {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? sanitizeUrl(resolved.href) : null;
+  } catch {
+    return null;
+  }
+};
+
+const siteHost = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Regex-based equivalent of the in-page inventory collection, used when page.evaluate is unavailable.
+ */
+export function readInventoryFromHtml(html) {
+  const links = Array.from(html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)).map(([, attributeText, inner]) => {
+    const attributes = readAttributes(attributeText);
+    return { href: attributes.href, text: stripTags(inner) || attributes['aria-label'] || attributes.title || '', rel: attributes.rel ?? '' };
+  });
+  const images = Array.from(html.matchAll(/<img\b[^>]*>/gi)).map(([tag]) => {
+    const attributes = readAttributes(tag);
+    return {
+      src: attributes.src || attributes['data-src'],
+      alt: attributes.alt ?? null,
+      width: attributes.width,
+      height: attributes.height,
+    };
+  });
+  return { links, images };
+}
+
+/**
+ * Turn raw inventory entries into the `inventory` field of a crawl result.
+ * Links are absolute, sanitized and flagged `internal` when they share the page's host (ignoring www.).
+ */
+export function buildInventory(raw, baseUrl) {
+  const pageHost = siteHost(new URL(baseUrl).hostname);
+
+  const links = (raw.links ?? [])
+    .map((link) => {
+      const url = toAbsolute(link.href, baseUrl);
+      if (!url) return null;
+      return {
+        url,
+        text: (link.text ?? '').replace(/\s+/g, ' ').trim(),
+        rel: String(link.rel ?? '').toLowerCase().split(/\s+/).filter(Boolean),
+        internal: siteHost(new URL(url).hostname) === pageHost,
+      };
+    })
+    .filter(Boolean);
+
+  const images = (raw.images ?? [])
+    .map((image) => {
+      const src = toAbsolute(image.src, baseUrl);
+      if (!src) return null;
+      return { src, alt: image.alt ?? null, width: readDimension(image.width), height: readDimension(image.height) };
+    })
+    .filter(Boolean);
+
+  return { links, images };
+}
+
+/**
+ * Extract the main content of a rendered page as markdown plus metadata.
+ * `rules` is the per-domain extraction rule for the page (see extractionRules.js):
+ * { contentSelector[], strip[], keep[], titleSelector, dateSelector }, all optional.
+ */
+export const extractHtmlContent = async (page, { sanitize = true, collectLinks = false, inventory = false, includeHtml = false, rules = null } = {}) => {
+  let html, head, links = [], rawInventory;
   // extraction function run inside the page context
   const extractionFn = ({
     candidateSelectors,
@@ -237,15 +347,93 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
     noiseKeywords,
     shouldSanitize,
     scoreFloor,
+    shouldCollectLinks,
+    shouldCollectInventory,
+    rule,
+    keepAttribute,
   }) => {
+    const KEEP_ATTRIBUTE = keepAttribute;
+
+    // rule selectors come from an editable file, so an invalid one matches nothing instead of throwing
+    const queryAll = (root, selector) => {
+      try {
+        return Array.from(root.querySelectorAll(selector));
+      } catch (_) {
+        return [];
+      }
+    };
+
+    // kept elements, their contents and their ancestors survive every removal below
+    const isKept = (node) => Boolean(node.closest?.(`[${KEEP_ATTRIBUTE}]`) || node.querySelector?.(`[${KEEP_ATTRIBUTE}]`));
+
     const removeBySelectors = (root, selectors) => {
       selectors.forEach((selector) => {
-        root.querySelectorAll(selector).forEach((node) => node.remove());
+        queryAll(root, selector).forEach((node) => {
+          if (!isKept(node)) node.remove();
+        });
       });
     };
 
+    const ruleValue = (selector, attributes = []) => {
+      const node = selector ? queryAll(document, selector)[0] : null;
+      if (!node) return null;
+      const value = attributes.map((name) => node.getAttribute(name)).find(Boolean) || node.textContent || '';
+      return value.replace(/\s+/g, ' ').trim() || null;
+    };
+
     const noisePattern = noiseKeywords.length ? new RegExp(noiseKeywords.join('|'), 'i') : null;
 
+    // collect links from the whole document before anything is stripped
+    const links = shouldCollectLinks
+      ? Array.from(document.querySelectorAll('a[href]')).map((anchor) => anchor.href).filter(Boolean)
+      : [];
+
+    const describeLink = (anchor) => ({
+      href: anchor.href,
+      text: (anchor.innerText || anchor.textContent || '').trim()
+        || anchor.getAttribute('aria-label')
+        || anchor.getAttribute('title')
+        || anchor.querySelector('img[alt]')?.getAttribute('alt')
+        || '',
+      rel: anchor.getAttribute('rel') || '',
+    });
+    // prefer declared dimensions, then the intrinsic size of loaded images
+    const describeImage = (img) => ({
+      src: img.currentSrc || img.src || img.getAttribute('data-src'),
+      alt: img.getAttribute('alt'),
+      width: img.getAttribute('width') || img.naturalWidth,
+      height: img.getAttribute('height') || img.naturalHeight,
+    });
+    const pageInventory = shouldCollectInventory
+      ? {
+        links: Array.from(document.querySelectorAll('a[href]')).map(describeLink),
+        images: Array.from(document.querySelectorAll('img')).map(describeImage),
+      }
+      : null;
+
+    // head data for metadata; JSON-LD scripts are removed by sanitizing, so read them first
+    const canonicalLink = Array.from(document.querySelectorAll('link[rel][href]'))
+      .find((link) => link.rel.toLowerCase().split(/\s+/).includes('canonical'));
+    const headData = {
+      title: document.title || null,
+      lang: document.documentElement.getAttribute('lang'),
+      canonical: canonicalLink ? canonicalLink.getAttribute('href') : null,
+      metaTags: Array.from(document.querySelectorAll('meta[content]'))
+        .map((meta) => ({
+          key: (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase(),
+          content: meta.getAttribute('content'),
+        }))
+        .filter((tag) => tag.key),
+      jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map((script) => script.textContent || ''),
+      ruleTitle: ruleValue(rule.titleSelector),
+      ruleDate: ruleValue(rule.dateSelector, ['datetime', 'content']),
+    };
+
+    // mark kept elements before anything is stripped; the clone below carries the marks
+    (rule.keep || []).forEach((selector) => {
+      queryAll(document, selector).forEach((node) => node.setAttribute(KEEP_ATTRIBUTE, ''));
+    });
+
     if (shouldSanitize) {
       removeBySelectors(document, globalStripSelectors);
     }
@@ -282,12 +470,25 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
       root = document.body;
     }
 
+    // a rule's content selector replaces scoring; the first selector matching non-empty content wins
+    const ruleRoot = (rule.contentSelector || [])
+      .map((selector) => queryAll(document, selector).find((node) => (node.textContent || '').trim()))
+      .find(Boolean);
+    if (ruleRoot) {
+      root = ruleRoot;
+    }
+
     const clone = root.cloneNode(true);
 
+    removeBySelectors(clone, rule.strip || []);
+
     if (shouldSanitize) {
       removeBySelectors(clone, internalStripSelectors);
 
       Array.from(clone.querySelectorAll('*')).forEach((element) => {
+        if (isKept(element)) {
+          return;
+        }
         const signature = `${element.className || ''} ${element.id || ''}`.toLowerCase();
         if (noisePattern && signature && noisePattern.test(signature)) {
           element.remove();
@@ -302,6 +503,8 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
       });
     }
 
+    // the marks stay on the clone so Turndown keeps those elements too; they are removed after conversion
+
     const uniqueText = (selector) =>
       Array.from(clone.querySelectorAll(selector))
         .map((node) => (node.textContent || '').trim())
@@ -310,27 +513,31 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
 
     return {
       html: '<!DOCTYPE html>' + clone.outerHTML,
-      metadata: {
-        title: document.title || null,
-        description:
-          document.querySelector('meta[name="description"]')?.getAttribute('content') ??
-          document.querySelector('meta[property="og:description"]')?.getAttribute('content') ??
-          null,
+      head: {
+        ...headData,
         h1: uniqueText('h1').slice(0,5),
         h2: uniqueText('h2').slice(0,5),
       },
+      links,
+      inventory: pageInventory,
     };
   };
 
+  const extractionArgs = {
+    candidateSelectors: CANDIDATE_SELECTORS,
+    globalStripSelectors: GLOBAL_STRIP_SELECTORS,
+    internalStripSelectors: INTERNAL_STRIP_SELECTORS,
+    noiseKeywords: NOISE_KEYWORDS,
+    shouldSanitize: sanitize,
+    scoreFloor: SCORE_CONTENT_FLOOR,
+    shouldCollectLinks: collectLinks,
+    shouldCollectInventory: inventory,
+    rule: rules ?? {},
+    keepAttribute: KEEP_ATTRIBUTE,
+  };
+
   try {
-    ({ html, metadata } = await page.evaluate(extractionFn, {
-      candidateSelectors: CANDIDATE_SELECTORS,
-      globalStripSelectors: GLOBAL_STRIP_SELECTORS,
-      internalStripSelectors: INTERNAL_STRIP_SELECTORS,
-      noiseKeywords: NOISE_KEYWORDS,
-      shouldSanitize: sanitize,
-      scoreFloor: SCORE_CONTENT_FLOOR,
-    }));
+    ({ html, head, links, inventory: rawInventory } = await page.evaluate(extractionFn, extractionArgs));
   } catch (err) {
     // If evaluate failed, try one quick retry for transient session/navigation errors
     const msg0 = String(err && err.message ? err.message : err);
@@ -348,14 +555,7 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
       try {
         // eslint-disable-next-line no-await-in-loop
         await new Promise((r) => setTimeout(r, 200));
-        ({ html, metadata } = await page.evaluate(extractionFn, {
-          candidateSelectors: CANDIDATE_SELECTORS,
-          globalStripSelectors: GLOBAL_STRIP_SELECTORS,
-          internalStripSelectors: INTERNAL_STRIP_SELECTORS,
-          noiseKeywords: NOISE_KEYWORDS,
-          shouldSanitize: sanitize,
-          scoreFloor: SCORE_CONTENT_FLOOR,
-        }));
+        ({ html, head, links, inventory: rawInventory } = await page.evaluate(extractionFn, extractionArgs));
       } catch (err2) {
         // if retry failed, fall back to existing fallback logic below
         // replace err with the retry error for diagnostics
@@ -385,18 +585,21 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
         const raw = await safeGetPageContent(page).catch((e) => { throw e; });
         html = '<!DOCTYPE html>' + raw;
 
-        const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
-        const descMatch = html.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["'][^>]*>/i) || html.match(/<meta[^>]+property=["']og:description["'][^>]*content=["']([^"']*)["'][^>]*>/i);
-
         const h1Matches = Array.from(html.matchAll(/<h1[^>]*>(.*?)<\/h1>/gi)).map((m) => m[1].replace(/<[^>]+>/g, '').trim()).filter(Boolean);
         const h2Matches = Array.from(html.matchAll(/<h2[^>]*>(.*?)<\/h2>/gi)).map((m) => m[1].replace(/<[^>]+>/g, '').trim()).filter(Boolean);
 
-        metadata = {
-          title: titleMatch ? titleMatch[1].trim() : null,
-          description: descMatch ? descMatch[1].trim() : null,
+        head = {
+          ...readHeadFromHtml(html),
           h1: Array.from(new Set(h1Matches)).slice(0, 5),
           h2: Array.from(new Set(h2Matches)).slice(0, 5),
         };
+
+        if (collectLinks) {
+          links = Array.from(html.matchAll(/<a\b[^>]*\bhref=["']([^"']+)["']/gi)).map((m) => m[1]);
+        }
+        if (inventory) {
+          rawInventory = readInventoryFromHtml(html);
+        }
       } catch (fallbackErr) {
         throw fallbackErr || err;
       }
@@ -408,13 +611,101 @@ export const extractHtmlContent = async (page, { sanitize = true } = {}) => {
   const htmlForMarkdown = html || (await page.content());
   const markdown = cleanMarkdown(turndown.turndown(htmlForMarkdown));
 
-  return {
+  let baseUrl;
+  try { baseUrl = page.url(); } catch (_) {}
+
+  const result = {
     markdown,
-    metadata,
+    metadata: buildMetadata(head, baseUrl),
   };
+  if (includeHtml) {
+    // the cleaned content root (or, after a fallback, the page snapshot) that markdown was made from
+    result.html = htmlForMarkdown.replace(new RegExp(` ${KEEP_ATTRIBUTE}(?:="")?`, 'g'), '');
+  }
+  if (collectLinks) {
+    result.links = normalizeDiscoveredLinks(links, baseUrl);
+  }
+  if (inventory && rawInventory && baseUrl) {
+    result.inventory = buildInventory(rawInventory, baseUrl);
+  }
+  return result;
 };
 
-export const convertPdfBufferToMarkdown = async (buffer) => {
-  const pdfMarkdown = await pdf2md(buffer, {});
-  return cleanMarkdown(pdfMarkdown);
+/**
+ * Convert an HTML fragment that did not come from a live page (e.g. a converted DOCX) to markdown.
+ */
+export const convertHtmlToMarkdown = (html) => cleanMarkdown(turndown.turndown(html || ''));
+
+// PDF dates look like D:20240131120000+01'00'; returns ISO 8601 or the raw string when unparsable
+const parsePdfDate = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz])|([+-])(\d{2})'?(\d{2})?'?)?/);
+  if (!match) return String(value);
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', , sign, offsetHours, offsetMinutes = '00'] = match;
+  const zone = sign ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+  const parsed = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(parsed) ? String(value) : new Date(parsed).toISOString();
 };
+
+const readPdfInfo = (info = {}) => ({
+  title: info.Title?.trim() || null,
+  author: info.Author?.trim() || null,
+  subject: info.Subject?.trim() || null,
+  keywords: info.Keywords?.trim() || null,
+  creator: info.Creator?.trim() || null,
+  producer: info.Producer?.trim() || null,
+  createdAt: parsePdfDate(info.CreationDate),
+  modifiedAt: parsePdfDate(info.ModDate),
+  pdfVersion: info.PDFFormatVersion ?? null,
+});
+
+/**
+ * Convert a PDF buffer to markdown, keeping the markdown of each page.
+ * `pageRange` ({ start, end }, 1-based and inclusive, `end` null for the last page) limits the
+ * conversion; pages after `end` are never read.
+ * Returns { markdown, pages: [{ pageNumber, markdown }], info, pageCount, convertedPages }
+ */
+export const convertPdfBuffer = async (buffer, { pageRange = null } = {}) => {
+  let pageCount = 0;
+  const { fonts, metadata, pages, pdfDocument } = await pdfParser.parse(buffer, {
+    documentParsed(document) {
+      pageCount = document.numPages;
+      if (pageRange?.end && pageRange.end < pageCount) {
+        // the parser loops up to numPages; capping it skips extracting the rest of the document
+        Object.defineProperty(document, 'numPages', { value: pageRange.end });
+      }
+    },
+  });
+
+  try {
+    const start = pageRange?.start ?? 1;
+    const end = Math.min(pageRange?.end ?? pageCount, pageCount);
+    if (start > pageCount) {
+      throw new CrawlError(`pageRange starts after the last page (${pageCount})`, {
+        statusCode: 400,
+        details: { pageCount },
+      });
+    }
+
+    const selected = pages.slice(start - 1, end);
+    const { transform, makeTransformations } = pdfTransformations;
+    const result = transform(selected, makeTransformations(fonts.map));
+    const converted = result.pages.map((page, index) => ({
+      pageNumber: start + index,
+      markdown: cleanMarkdown(page.items.join('\n')),
+    }));
+
+    return {
+      markdown: cleanMarkdown(result.pages.map((page) => `${page.items.join('\n')}\n`).join('')),
+      pages: converted,
+      info: readPdfInfo(metadata?.info),
+      pageCount,
+      convertedPages: { start, end },
+    };
+  } finally {
+    try { await pdfDocument?.cleanup?.(false); } catch (_) {}
+    try { await pdfDocument?.destroy?.(); } catch (_) {}
+  }
+};
+
+export const convertPdfBufferToMarkdown = async (buffer) => (await convertPdfBuffer(buffer)).markdown;
@@ -0,0 +1,141 @@
+// Structured page metadata (OpenGraph, Twitter cards, JSON-LD, canonical, language, dates).
+// The page context and the regex fallback both produce the same "raw head" shape:
+//   { title, description?, lang, canonical, metaTags: [{ key, content }], jsonLd: [text], h1, h2 }
+// and buildMetadata turns it into the `metadata` object of a crawl result.
+
+// JSON-LD @type values we keep, grouped by what downstream indexing cares about
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report'];
+const JSON_LD_TYPES = [...ARTICLE_TYPES, 'Product', 'FAQPage', 'BreadcrumbList'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export const decodeEntities = (text) =>
+  String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+export const readAttributes = (tag) => {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+};
+
+/**
+ * Regex-based equivalent of the in-page head collection, used when page.evaluate is unavailable.
+ */
+export function readHeadFromHtml(html) {
+  const metaTags = [];
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = readAttributes(tag);
+    const key = attributes.property || attributes.name;
+    if (key && attributes.content !== undefined) metaTags.push({ key: key.toLowerCase(), content: attributes.content });
+  }
+
+  const canonicalTag = Array.from(html.matchAll(/<link\b[^>]*>/gi))
+    .map(([tag]) => readAttributes(tag))
+    .find((attributes) => (attributes.rel ?? '').toLowerCase().split(/\s+/).includes('canonical'));
+
+  const jsonLd = Array.from(
+    html.matchAll(/<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi),
+  ).map((match) => match[1]);
+
+  return {
+    title: decodeEntities(html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] ?? '').trim() || null,
+    lang: readAttributes(html.match(/<html\b[^>]*>/i)?.[0] ?? '').lang ?? null,
+    canonical: canonicalTag?.href ?? null,
+    metaTags,
+    jsonLd,
+  };
+}
+
+// group meta tags with the given prefix; repeated keys (og:image) become arrays
+const collectPrefixed = (metaTags, prefix) => {
+  const fields = {};
+  metaTags
+    .filter(({ key }) => key.startsWith(prefix))
+    .forEach(({ key, content }) => {
+      const name = key.slice(prefix.length);
+      if (!name) return;
+      if (fields[name] === undefined) fields[name] = content;
+      else fields[name] = [].concat(fields[name], content);
+    });
+  return fields;
+};
+
+const typesOf = (node) => [].concat(node?.['@type'] ?? []).map(String);
+
+// parse JSON-LD blocks and flatten @graph containers; malformed blocks are skipped
+const parseJsonLd = (blocks = []) => {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return undefined;
+    if (Array.isArray(value['@graph'])) value['@graph'].forEach(visit);
+    if (typesOf(value).some((type) => JSON_LD_TYPES.includes(type))) nodes.push(value);
+    return undefined;
+  };
+  blocks.forEach((text) => {
+    try {
+      visit(JSON.parse(text));
+    } catch {
+      // invalid JSON-LD is common in the wild; ignore it
+    }
+  });
+  return nodes;
+};
+
+const personName = (value) => {
+  const first = [].concat(value ?? [])[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name ?? null;
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? String(value) : new Date(parsed).toISOString();
+};
+
+const resolveUrl = (href, baseUrl) => {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the `metadata` object of a crawl result from a raw head snapshot.
+ * Values read through a domain extraction rule (ruleTitle, ruleDate) win; otherwise
+ * author and dates prefer explicit meta tags, then the first JSON-LD article.
+ */
+export function buildMetadata(raw, baseUrl) {
+  const metaTags = raw.metaTags ?? [];
+  const meta = (key) => metaTags.find((tag) => tag.key === key)?.content?.trim() || null;
+  const openGraph = collectPrefixed(metaTags, 'og:');
+  const twitter = collectPrefixed(metaTags, 'twitter:');
+  const jsonLd = parseJsonLd(raw.jsonLd);
+  const article = jsonLd.find((node) => typesOf(node).some((type) => ARTICLE_TYPES.includes(type)));
+
+  return {
+    title: raw.ruleTitle || raw.title || null,
+    description: meta('description') ?? meta('og:description'),
+    h1: raw.h1 ?? [],
+    h2: raw.h2 ?? [],
+    canonicalUrl: resolveUrl(raw.canonical, baseUrl),
+    lang: raw.lang?.trim() || null,
+    author: meta('author') ?? meta('article:author') ?? personName(article?.author),
+    publishedAt: toIsoDate(raw.ruleDate ?? meta('article:published_time') ?? article?.datePublished ?? meta('date')),
+    modifiedAt: toIsoDate(meta('article:modified_time') ?? meta('og:updated_time') ?? article?.dateModified),
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+}
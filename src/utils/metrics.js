@@ -0,0 +1,66 @@
+import client from 'prom-client';
+
+// Dedicated registry so metrics are only registered once per process and stay isolated from other libraries.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'flashcrawl_' });
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const metrics = {
+  crawls: new client.Counter({
+    name: 'flashcrawl_crawls_total',
+    help: 'Completed crawls by outcome (success/failure/blocked) and content type (html/pdf/unknown).',
+    labelNames: ['outcome', 'content_type'],
+    registers: [registry],
+  }),
+  retries: new client.Counter({
+    name: 'flashcrawl_crawl_retries_total',
+    help: 'Crawls retried after a recoverable browser error.',
+    registers: [registry],
+  }),
+  navigationDuration: new client.Histogram({
+    name: 'flashcrawl_navigation_duration_seconds',
+    help: 'Time spent in page navigation until the first response.',
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  }),
+  extractionDuration: new client.Histogram({
+    name: 'flashcrawl_extraction_duration_seconds',
+    help: 'Time spent converting a fetched document to markdown.',
+    labelNames: ['content_type'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  }),
+  crawlDuration: new client.Histogram({
+    name: 'flashcrawl_crawl_duration_seconds',
+    help: 'End-to-end crawl time including browser acquisition and retries.',
+    labelNames: ['outcome'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  }),
+  activeBrowsers: new client.Gauge({
+    name: 'flashcrawl_browsers_active',
+    help: 'Browser instances currently open (shared plus retiring).',
+    registers: [registry],
+  }),
+  activeContexts: new client.Gauge({
+    name: 'flashcrawl_browser_contexts_active',
+    help: 'Browser contexts currently leased to crawls.',
+    registers: [registry],
+  }),
+  waitingCrawls: new client.Gauge({
+    name: 'flashcrawl_browser_pool_waiting',
+    help: 'Crawls waiting for a free browser context.',
+    registers: [registry],
+  }),
+};
+
+/**
+ * Express handler for GET /metrics (Prometheus text exposition format).
+ */
+const handleMetrics = async (_req, res) => {
+  res.set('Content-Type', registry.contentType);
+  res.end(await registry.metrics());
+};
+
+export { handleMetrics, metrics, registry };
@@ -0,0 +1,54 @@
+/**
+ * Counting semaphore with a FIFO wait queue.
+ * `acquire()` resolves to a release function once a slot is free; pass `timeoutMs`
+ * to reject instead of waiting forever. Calling the release function twice is a no-op.
+ */
+const createSemaphore = (limit) => {
+  let active = 0;
+  const waiters = [];
+
+  const grant = () => {
+    active += 1;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active -= 1;
+      const next = waiters.shift();
+      if (next) next();
+    };
+  };
+
+  const acquire = ({ timeoutMs } = {}) => {
+    if (active < limit && !waiters.length) {
+      return Promise.resolve(grant());
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      const waiter = () => {
+        if (timer) clearTimeout(timer);
+        resolve(grant());
+      };
+      waiters.push(waiter);
+
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index !== -1) waiters.splice(index, 1);
+          reject(new Error(`Timed out after ${timeoutMs}ms waiting for a free slot`));
+        }, timeoutMs);
+        timer.unref?.();
+      }
+    });
+  };
+
+  return {
+    acquire,
+    get active() { return active; },
+    get waiting() { return waiters.length; },
+    limit,
+  };
+};
+
+export { createSemaphore };
@@ -0,0 +1,457 @@
+// SSRF protection: crawl targets, redirect hops, subresources and direct fetches must resolve to
+// public addresses. Private, loopback, link-local (cloud metadata) and SSRF_DENY_CIDRS ranges are refused.
+// Connections resolve hosts through the same check (guardedLookup), so they only reach checked addresses.
+import dns from 'dns';
+import http from 'http';
+import net from 'net';
+import { Agent, ProxyAgent, fetch } from 'undici';
+import { logger } from './logger.js';
+import { config, constants } from './config.js';
+import { CrawlError } from './errors.js';
+
+const DEFAULT_DENY_CIDRS = [
+  '0.0.0.0/8', // "this network"
+  '10.0.0.0/8',
+  '100.64.0.0/10', // carrier-grade NAT
+  '127.0.0.0/8',
+  '169.254.0.0/16', // link-local, including cloud metadata endpoints
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15', // benchmarking
+  '224.0.0.0/4', // multicast
+  '240.0.0.0/4', // reserved and broadcast
+  '::/128',
+  '::1/128',
+  '64:ff9b:1::/48', // local-use NAT64 (RFC 8215), which translates to private networks
+  'fc00::/7', // unique local
+  'fe80::/10', // link-local
+  'ff00::/8', // multicast
+];
+const DNS_CACHE_MS = 30 * 1000;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// set on the egress proxy's refusals; proxy agents hand them back as if the target had answered
+const REFUSED_HEADER = 'x-flashcrawl-refused';
+
+let ranges = null; // { deny: BlockList, allow: BlockList }
+const lookups = new Map(); // hostname -> { addresses: Promise<string[]>, expiresAt }
+let directAgent = null;
+const proxyAgents = new Map(); // "user@server" -> ProxyAgent
+let egress = null; // Promise<string>: server URL of the local egress proxy
+
+const addRange = (list, cidr) => {
+  const [address, prefixText] = cidr.split('/');
+  const type = net.isIP(address);
+  const bits = type === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (!type || (prefixText !== undefined && !/^\d+$/.test(prefixText)) || prefix > bits) {
+    throw new Error(`invalid CIDR "${cidr}"`);
+  }
+  list.addSubnet(address, prefix, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Compile the built-in ranges plus SSRF_DENY_CIDRS / SSRF_ALLOW_CIDRS. Throws on an invalid CIDR.
+ */
+export function loadAddressRules() {
+  const deny = new net.BlockList();
+  const allow = new net.BlockList();
+  [...DEFAULT_DENY_CIDRS, ...config.ssrf.denyCidrs].forEach((cidr) => addRange(deny, cidr));
+  config.ssrf.allowCidrs.forEach((cidr) => addRange(allow, cidr));
+  ranges = { deny, allow };
+  return ranges;
+}
+
+// the eight 16-bit groups of an IPv6 address (a dotted IPv4 tail counts as two); null when not IPv6
+const ipv6Groups = (address) => {
+  if (net.isIP(address) !== 6) return null;
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+  const front = parse(head);
+  const back = parse(tail);
+  return tail === undefined ? front : [...front, ...Array(8 - front.length - back.length).fill(0), ...back];
+};
+
+const toIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+// IPv6 forms that reach the IPv4 address they wrap: mapped (::ffff:127.0.0.1, ::ffff:7f00:1),
+// NAT64 (64:ff9b::10.0.0.1) and 6to4 (2002:0a00:0001::)
+const unwrapEmbeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  if (!groups) return address;
+  const zeros = (from, to) => groups.slice(from, to).every((group) => group === 0);
+  if (zeros(0, 5) && groups[5] === 0xffff) return toIpv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return toIpv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return toIpv4(groups[1], groups[2]);
+  return address;
+};
+
+/**
+ * Whether an IP address falls in a refused range (SSRF_ALLOW_CIDRS wins). Non-IP input is refused.
+ */
+export function isBlockedAddress(address) {
+  const { deny, allow } = ranges ?? loadAddressRules();
+  const ip = unwrapEmbeddedIpv4(String(address));
+  const type = net.isIP(ip);
+  if (!type) return true;
+  const family = type === 4 ? 'ipv4' : 'ipv6';
+  return !allow.check(ip, family) && deny.check(ip, family);
+}
+
+// every address the host resolves to is checked, so a mixed record set cannot slip a private one through
+const resolveHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return Promise.resolve([host]);
+
+  const now = Date.now();
+  const cached = lookups.get(host);
+  if (cached && cached.expiresAt > now) return cached.addresses;
+  if (lookups.size > 1000) lookups.forEach((entry, key) => { if (entry.expiresAt <= now) lookups.delete(key); });
+
+  const addresses = dns.promises.lookup(host, { all: true, verbatim: true }).then((records) => records.map((record) => record.address));
+  lookups.set(host, { addresses, expiresAt: now + DNS_CACHE_MS });
+  addresses.catch(() => lookups.delete(host));
+  return addresses;
+};
+
+const checkHost = async (host) => {
+  let addresses;
+  try {
+    addresses = await resolveHost(host);
+  } catch (err) {
+    return { allowed: false, host, reason: `could not resolve ${host} (${err.code ?? err.message})` };
+  }
+  const address = addresses.find(isBlockedAddress);
+  return address ? { allowed: false, host, address, reason: `${host} resolves to blocked address ${address}` } : { allowed: true, host, addresses };
+};
+
+/**
+ * Resolve the host of `url` and check its addresses. Only http(s) and ws(s) URLs are checked.
+ * Returns { allowed, host, address?, reason? }; `address` is set when a refused address was found.
+ */
+export async function checkUrl(url) {
+  if (!config.ssrf.enabled) return { allowed: true };
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return { allowed: false, host: null, reason: 'invalid URL' };
+  }
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) return { allowed: true, host: parsed.hostname };
+  return checkHost(parsed.hostname);
+}
+
+/**
+ * `lookup` for sockets (net.connect, undici): resolves through the cached, checked lookup and fails
+ * with code ADDRESS_BLOCKED when any address is refused. The connection then goes to exactly the
+ * addresses that passed, so a record that changes after the check (DNS rebinding) cannot slip through.
+ */
+export function guardedLookup(hostname, options, callback) {
+  const done = typeof options === 'function' ? options : callback;
+  const { family = 0, all = false } = typeof options === 'object' ? options : { family: options };
+  checkHost(hostname).then((check) => {
+    if (!check.allowed) {
+      const err = new Error(check.reason);
+      err.code = check.address ? 'ADDRESS_BLOCKED' : 'ENOTFOUND';
+      return done(err);
+    }
+    const records = check.addresses
+      .map((address) => ({ address, family: net.isIP(address) }))
+      .filter((record) => !family || record.family === Number(family));
+    if (!records.length) return done(Object.assign(new Error(`could not resolve ${hostname}`), { code: 'ENOTFOUND' }));
+    return all ? done(null, records) : done(null, records[0].address, records[0].family);
+  });
+}
+
+const toCrawlError = (url, check) => (check.address
+  ? new CrawlError('URL resolves to a blocked address', { code: 'ADDRESS_BLOCKED', details: { url } })
+  : new CrawlError(`Could not resolve ${check.host ?? url}`, { code: 'DNS_FAILURE', details: { url, details: check.reason } }));
+
+/**
+ * Throw a CrawlError unless `url` resolves to public addresses only
+ * (403 for refused addresses, 502 when the host does not resolve).
+ */
+export async function assertPublicUrl(url) {
+  const check = await checkUrl(url);
+  if (!check.allowed) throw toCrawlError(url, check);
+}
+
+const redirectTarget = (status, location, base) => {
+  if (!REDIRECT_STATUSES.includes(status) || !location) return null;
+  try {
+    return new URL(location, base).href;
+  } catch (_) {
+    return null;
+  }
+};
+
+// direct fetches connect through guardedLookup; a refusal there (the record changed after the check) reads like the check's
+const pinnedFetch = async (url, init) => {
+  directAgent ??= new Agent({ connect: { lookup: guardedLookup } });
+  try {
+    return await fetch(url, { ...init, dispatcher: directAgent });
+  } catch (err) {
+    if (err.cause?.code === 'ADDRESS_BLOCKED') throw toCrawlError(url, { address: true });
+    throw err;
+  }
+};
+
+// `proxy` is a proxy selection ({ server, username?, password? }); http(s) and socks5 are supported
+const proxyDispatcher = ({ server, username, password }) => {
+  const key = `${username ?? ''}@${server}`;
+  if (!proxyAgents.has(key)) {
+    const token = username ? `Basic ${Buffer.from(`${username}:${password ?? ''}`).toString('base64')}` : undefined;
+    proxyAgents.set(key, new ProxyAgent({ uri: server, ...(token && { token }) }));
+  }
+  return proxyAgents.get(key);
+};
+
+/**
+ * fetch() that checks the URL and every redirect hop before connecting, and connects only to the
+ * checked addresses. Redirects are followed manually (GET after 303, like fetch) up to `maxRedirects`;
+ * with 0 the redirect response itself is returned.
+ * With `proxy` (a selection from proxyService) the request leaves through that proxy, which resolves
+ * the target itself; the URL and hops are still checked first.
+ */
+export async function fetchPublicUrl(url, init = {}, { maxRedirects = constants.MAX_REDIRECTS, proxy = null } = {}) {
+  const send = (target, request) => (proxy
+    ? fetch(target, { ...request, dispatcher: proxyDispatcher(proxy) })
+    : pinnedFetch(target, request));
+  if (!config.ssrf.enabled) return proxy ? send(url, init) : fetch(url, init);
+  let current = url;
+  let request = init;
+  for (let hop = 0; ; hop += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertPublicUrl(current);
+    // eslint-disable-next-line no-await-in-loop
+    const res = await send(current, { ...request, redirect: 'manual' });
+    const next = hop < maxRedirects ? redirectTarget(res.status, res.headers.get('location'), current) : null;
+    if (!next) return res;
+    // eslint-disable-next-line no-await-in-loop
+    await res.body?.cancel().catch(() => {});
+    if (res.status === 303) request = { ...request, method: 'GET', body: undefined };
+    current = next;
+  }
+}
+
+/**
+ * GET through a Playwright APIRequestContext (`context.request`), checking the URL and every
+ * redirect hop. Browser routing does not see these requests, so direct body fetches go through here.
+ * Contexts without an upstream proxy connect through the egress proxy (see egressProxy).
+ */
+export async function requestPublicUrl(requestContext, url, options = {}) {
+  if (!config.ssrf.enabled) return requestContext.get(url, options);
+  let current = url;
+  for (let hop = 0; ; hop += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await assertPublicUrl(current);
+    // eslint-disable-next-line no-await-in-loop
+    const resp = await requestContext.get(current, { ...options, maxRedirects: 0 });
+    if (resp.headers()[REFUSED_HEADER]) throw toCrawlError(current, { address: true });
+    const next = redirectTarget(resp.status(), resp.headers().location, current);
+    if (!next) return resp;
+    if (hop >= constants.MAX_REDIRECTS) throw new CrawlError('Too many redirects', { code: 'TOO_MANY_REDIRECTS', details: { url } });
+    // eslint-disable-next-line no-await-in-loop
+    await resp.dispose().catch(() => {});
+    current = next;
+  }
+}
+
+// CONNECT host:port, as sent by Chromium and Playwright's proxy agents
+const CONNECT_TARGET = /^(\[[^\]]+\]|[^:]+):(\d+)$/;
+
+const tunnel = (req, client, head) => {
+  const match = CONNECT_TARGET.exec(req.url);
+  if (!match) return client.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+  const host = match[1].replace(/^\[|\]$/g, '');
+  const refuse = (reason, blocked = true) => {
+    logger.warn(`[ssrf] refused connection to ${req.url}: ${reason}`);
+    client.end(blocked ? `HTTP/1.1 403 Forbidden\r\n${REFUSED_HEADER}: 1\r\n\r\n` : 'HTTP/1.1 502 Bad Gateway\r\n\r\n');
+  };
+  // IP literals skip the lookup
+  if (net.isIP(host) && isBlockedAddress(host)) return refuse(`blocked address ${host}`);
+
+  let connected = false;
+  const upstream = net.connect({ host, port: Number(match[2]), lookup: guardedLookup });
+  upstream.once('connect', () => {
+    connected = true;
+    client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length) upstream.write(head);
+    upstream.pipe(client);
+    client.pipe(upstream);
+  });
+  upstream.on('error', (err) => {
+    if (connected) client.destroy();
+    else refuse(err.message, err.code === 'ADDRESS_BLOCKED');
+  });
+  client.on('error', () => upstream.destroy());
+  client.on('close', () => upstream.destroy());
+  return undefined;
+};
+
+// request headers that only concern the hop to the proxy
+const PROXY_HOP_HEADERS = ['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive'];
+
+// Chromium sends plain http requests to a proxy in absolute form instead of tunnelling them
+const forward = (req, res) => {
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch (_) {
+    target = null;
+  }
+  if (!target || target.protocol !== 'http:') return res.writeHead(405).end();
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  const refuse = (reason, blocked = true) => {
+    logger.warn(`[ssrf] refused request to ${target.origin}: ${reason}`);
+    if (res.headersSent) return res.destroy();
+    return res.writeHead(blocked ? 403 : 502, blocked ? { [REFUSED_HEADER]: '1' } : {}).end();
+  };
+  if (net.isIP(host) && isBlockedAddress(host)) return refuse(`blocked address ${host}`);
+
+  const headers = { ...req.headers };
+  PROXY_HOP_HEADERS.forEach((name) => delete headers[name]);
+  const upstream = http.request({
+    host,
+    port: Number(target.port) || 80,
+    path: `${target.pathname}${target.search}`,
+    method: req.method,
+    headers,
+    lookup: guardedLookup,
+    agent: false,
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.rawHeaders);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', (err) => refuse(err.message, err.code === 'ADDRESS_BLOCKED'));
+  res.on('close', () => upstream.destroy());
+  req.pipe(upstream);
+  return undefined;
+};
+
+const startEgressProxy = () => new Promise((resolve, reject) => {
+  // CONNECT tunnels for https, WebSockets and Playwright's fetch; forwarded requests for Chromium's plain http
+  const server = http.createServer(forward);
+  server.on('connect', tunnel);
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    server.unref();
+    resolve(`http://127.0.0.1:${server.address().port}`);
+  });
+});
+
+/**
+ * Playwright `proxy` option for browser contexts that have no upstream proxy: a local proxy that
+ * resolves hosts with guardedLookup. The browser's own requests, route.fetch(), context.request and
+ * page WebSockets then connect only to checked addresses. Started on first use; undefined when SSRF protection is off.
+ */
+export async function egressProxy() {
+  if (!config.ssrf.enabled) return undefined;
+  egress ??= startEgressProxy().catch((err) => {
+    egress = null;
+    throw err;
+  });
+  return { server: await egress };
+}
+
+/**
+ * Check a caller-supplied proxy URL (`server`, e.g. "http://proxy.example:3128") like a crawl target
+ * and return it pinned to the checked address; TLS proxies keep their hostname for certificate checks.
+ * Throws ADDRESS_BLOCKED / DNS_FAILURE CrawlErrors.
+ */
+export async function resolvePublicProxy(server) {
+  if (!config.ssrf.enabled) return server;
+  const url = new URL(server);
+  const check = await checkHost(url.hostname.replace(/^\[|\]$/g, ''));
+  if (!check.allowed) {
+    throw check.address
+      ? new CrawlError('Proxy resolves to a blocked address', { code: 'ADDRESS_BLOCKED', details: { proxy: server } })
+      : new CrawlError(`Could not resolve proxy ${check.host}`, { code: 'DNS_FAILURE', details: { proxy: server, details: check.reason } });
+  }
+  if (url.protocol === 'https:') return server;
+  const [address] = check.addresses;
+  url.hostname = net.isIP(address) === 6 ? `[${address}]` : address;
+  return `${url.protocol}//${url.host}`;
+}
+
+// Playwright abort codes matching the network error a route.fetch() failed with
+const ABORT_CODES = [
+  [/ENOTFOUND|EAI_AGAIN|getaddrinfo/i, 'namenotresolved'],
+  [/ECONNREFUSED/i, 'connectionrefused'],
+  [/ECONNRESET/i, 'connectionreset'],
+  [/EHOSTUNREACH|ENETUNREACH/i, 'addressunreachable'],
+  [/Timeout|ETIMEDOUT/i, 'timedout'],
+];
+const abortCodeFor = (err) => ABORT_CODES.find(([pattern]) => pattern.test(String(err?.message ?? err)))?.[1] ?? 'failed';
+
+/**
+ * Route every request of a browser context through the address check. Navigation requests are fetched
+ * with redirects disabled and handed back to the browser, so the target of each redirect hop is checked
+ * before the browser follows it. Subresources continue on the browser's own network stack once checked;
+ * the egress proxy (or the context's upstream proxy) carries their connections and redirects.
+ * Refused requests are aborted and refused WebSockets are closed.
+ * Returns { navigationError() }: a CrawlError when a navigation request (or one of its hops) was refused.
+ */
+export async function guardContext(context) {
+  const refused = [];
+  if (!config.ssrf.enabled) return { navigationError: () => null };
+
+  const refuse = (route, request, url, check) => {
+    refused.push({ url, check, navigation: request.isNavigationRequest() });
+    logger.warn(`[ssrf] refused ${request.resourceType()} request: ${check.reason}`);
+    return route.abort(check.address ? 'blockedbyclient' : 'namenotresolved');
+  };
+
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const url = request.url();
+    try {
+      const check = await checkUrl(url);
+      if (!check.allowed) return await refuse(route, request, url, check);
+      // only navigations need their redirect hops inspected here; re-fetching every subresource in
+      // Node would change the browser's TLS and HTTP fingerprint and buffer every image and script
+      if (!/^https?:/i.test(url) || !request.isNavigationRequest()) return await route.continue();
+
+      const response = await route.fetch({ maxRedirects: 0 });
+      if (response.headers()[REFUSED_HEADER]) {
+        return await refuse(route, request, url, { allowed: false, address: true, reason: `${url} was refused at connection time` });
+      }
+      const next = redirectTarget(response.status(), response.headers().location, url);
+      if (next) {
+        const hopCheck = await checkUrl(next);
+        if (!hopCheck.allowed) return await refuse(route, request, next, hopCheck);
+      }
+      return await route.fulfill({ response });
+    } catch (err) {
+      // keep the browser's view of network failures (refused, unresolved, timed out) for the caller;
+      // when the page or context already closed there is nothing left to answer
+      return route.abort(abortCodeFor(err)).catch(() => {});
+    }
+  });
+
+  // context.route() never sees WebSockets
+  await context.routeWebSocket(() => true, async (ws) => {
+    const url = ws.url();
+    const check = await checkUrl(url);
+    if (check.allowed) {
+      ws.connectToServer();
+      return;
+    }
+    refused.push({ url, check, navigation: false });
+    logger.warn(`[ssrf] refused websocket: ${check.reason}`);
+    await ws.close({ code: 1008, reason: 'Blocked by SSRF protection' });
+  });
+
+  return {
+    navigationError: () => {
+      const entry = refused.find((item) => item.navigation);
+      return entry ? toCrawlError(entry.url, entry.check) : null;
+    },
+  };
+}
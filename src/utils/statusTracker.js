@@ -8,6 +8,14 @@ const _startTime = Date.now();
 
 let totalCrawls = 0;
 let successfulCrawls = 0;
+let failedCrawls = 0;
+let inFlight = 0;
+
+// rolling window of recent crawl durations used for average / p95
+const DURATION_SAMPLES_MAX = 200;
+const durations = [];
+const failuresByType = {};
+let lastFailure = null;
 
 const spinnerState = {
   status: 'ready',
@@ -74,11 +82,65 @@ const stopSpinner = () => {
 const incrementTotal = (n = 1) => { totalCrawls += n; };
 const incrementSuccess = (n = 1) => { successfulCrawls += n; };
 
+// Failure bucket for an error: its crawl error code (DNS_FAILURE, UPSTREAM_5XX, …), else the
+// Chromium net error code when present, else the error class name.
+const classifyFailure = (err) => {
+  if (err?.code) return err.code;
+  const msg = String(err?.message ?? err ?? '');
+  const netError = msg.match(/net::(ERR_[A-Z_]+)/);
+  if (netError) return netError[1];
+  return err?.name || 'Error';
+};
+
+const crawlStarted = () => { inFlight += 1; };
+
+const crawlFinished = ({ durationMs, error } = {}) => {
+  inFlight = Math.max(0, inFlight - 1);
+  if (Number.isFinite(durationMs)) {
+    durations.push(durationMs);
+    if (durations.length > DURATION_SAMPLES_MAX) durations.shift();
+  }
+  if (error) {
+    failedCrawls += 1;
+    const type = classifyFailure(error);
+    failuresByType[type] = (failuresByType[type] ?? 0) + 1;
+    lastFailure = { type, message: String(error?.message ?? error), at: new Date().toISOString() };
+  }
+};
+
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+const getSnapshot = () => ({
+  status: inFlight > 0 ? 'active' : spinnerState.status,
+  startedAt: new Date(_startTime).toISOString(),
+  uptime: Math.round((Date.now() - _startTime) / 1000),
+  totalCrawls,
+  successfulCrawls,
+  failedCrawls,
+  inFlight,
+  recentUrls: [...history],
+  durations: {
+    samples: durations.length,
+    averageMs: durations.length ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length) : null,
+    p95Ms: percentile(durations, 95),
+  },
+  failuresByType: { ...failuresByType },
+  lastFailure,
+});
+
 const statusTracker = {
   refreshSpinner,
   stopSpinner,
   incrementTotal,
   incrementSuccess,
+  crawlStarted,
+  crawlFinished,
+  getSnapshot,
 };
 
 // initialize as ready so the spinner doesn't show "starting up" after init
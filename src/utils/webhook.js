@@ -0,0 +1,88 @@
+import { createHmac } from 'crypto';
+import { logger } from './logger.js';
+import { config } from './config.js';
+import { formatError } from './errors.js';
+import { fetchPublicUrl } from './ssrfGuard.js';
+
+const RETRY_DELAYS_MS = [1000, 5000];
+
+/**
+ * HMAC-SHA256 signature over `${timestamp}.${body}`, hex encoded.
+ * Receivers recompute it with the shared WEBHOOK_SECRET and compare against the
+ * `X-Flashcrawl-Signature: sha256=<hex>` header.
+ */
+const signPayload = (body, timestamp, secret = config.webhooks.secret) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST a signed JSON payload to `url`, retrying on network errors and 5xx responses.
+ * Redirects are not followed, and `url` must resolve to a public address.
+ * Resolves to { delivered, status, attempts, error } and never throws.
+ */
+const deliverWebhook = async (url, event, payload) => {
+  const body = JSON.stringify(payload);
+  let lastError;
+  let status;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= RETRY_DELAYS_MS.length; attempt += 1) {
+    if (attempt > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((r) => setTimeout(r, RETRY_DELAYS_MS[attempt - 1]));
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    attempts += 1;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await fetchPublicUrl(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'flashcrawl-webhook',
+          'x-flashcrawl-event': event,
+          'x-flashcrawl-timestamp': String(timestamp),
+          'x-flashcrawl-signature': `sha256=${signPayload(body, timestamp)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      }, { maxRedirects: 0 });
+      status = res.status;
+      if (res.ok) {
+        return { delivered: true, status, attempts, error: null };
+      }
+      lastError = `Webhook responded with status ${status}`;
+      // client errors will not get better on retry
+      if (status < 500) break;
+    } catch (err) {
+      lastError = String(err?.message ?? err);
+    }
+    logger.warn(`[webhook] ${event} delivery to ${url} failed (attempt ${attempts}): ${lastError}`);
+  }
+
+  logger.error(`[webhook] giving up on ${event} delivery to ${url}: ${formatError(lastError)}`);
+  return { delivered: false, status: status ?? null, attempts, error: lastError };
+};
+
+/**
+ * Validate a caller-supplied callback URL.
+ * Returns undefined when absent, { url } when usable, or { error } with a client-facing message.
+ */
+const parseWebhookUrl = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  let webhookUrl;
+  try {
+    webhookUrl = new URL(String(raw));
+  } catch {
+    return { error: 'Invalid webhookUrl' };
+  }
+  if (!['http:', 'https:'].includes(webhookUrl.protocol)) {
+    return { error: 'webhookUrl must use http or https' };
+  }
+  if (!config.webhooks.secret) {
+    return { error: 'Webhook callbacks require WEBHOOK_SECRET to be configured on the server' };
+  }
+  return { url: webhookUrl.href };
+};
+
+export { deliverWebhook, parseWebhookUrl, signPayload };
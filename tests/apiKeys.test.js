@@ -0,0 +1,158 @@
+process.env.NODE_ENV = 'test';
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import dns from 'dns';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { config } from '../src/utils/config.js';
+import { assertRedirectsAllowed, meterApiKeyRun, reloadApiKeys } from '../src/services/apiKeys.js';
+
+let app;
+
+describe('API key authentication', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcrawl-keys-'));
+  const original = { ...config.apiKeys };
+  const originalDataDir = config.dataDir;
+  const badOptions = { options: { waitUntil: 'whenever' } }; // rejected by validation, so no browser is needed
+
+  beforeAll(async () => {
+    // watches are persisted under the data directory, which the watch service reads on import
+    config.dataDir = dir;
+    ({ app } = await import('../server.js'));
+    const file = path.join(dir, 'api-keys.json');
+    fs.writeFileSync(file, JSON.stringify({
+      keys: [
+        { id: 'ops', key: 'admin-secret', admin: true },
+        { id: 'client', keySha256: createHash('sha256').update('client-secret').digest('hex'), requestsPerMinute: 2, allowedDomains: ['*.allowed.test'] },
+        { id: 'retired', key: 'old-secret', disabled: true },
+        { id: 'owner', key: 'owner-secret' },
+        { id: 'other', key: 'other-secret' },
+        { id: 'single', key: 'single-secret', maxConcurrent: 1 },
+        { id: 'runner', key: 'runner-secret', requestsPerMinute: 1, maxConcurrent: 1, allowedDomains: ['runs.test'] },
+      ],
+    }));
+    Object.assign(config.apiKeys, { file, checkIntervalMs: 60000 });
+    reloadApiKeys();
+  });
+
+  afterAll(() => {
+    Object.assign(config.apiKeys, original);
+    config.dataDir = originalDataDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects missing, unknown and disabled keys but leaves the health check open', async () => {
+    expect((await request(app).get('/')).status).toBe(200);
+    const missing = await request(app).get('/status');
+    expect(missing.status).toBe(401);
+    expect(missing.body.error).toBe('API key required');
+    expect((await request(app).get('/status').set('X-API-Key', 'nope')).status).toBe(401);
+    expect((await request(app).get('/status').set('X-API-Key', 'old-secret')).status).toBe(401);
+    expect((await request(app).get('/status').set('Authorization', 'Bearer client-secret')).status).toBe(200);
+  });
+
+  it('enforces allowed domains and the per-minute quota', async () => {
+    const denied = await request(app).post('/crawl').set('X-API-Key', 'client-secret').send({ url: 'https://elsewhere.test/', ...badOptions });
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toBe('Domain not allowed for this API key');
+
+    for (let n = 0; n < 2; n += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await request(app).post('/crawl').set('X-API-Key', 'client-secret').send({ url: 'https://www.allowed.test/', ...badOptions });
+      expect(res.status).toBe(400);
+    }
+    const limited = await request(app).post('/crawl').set('X-API-Key', 'client-secret').send({ url: 'https://allowed.test/', ...badOptions });
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ error: 'API key quota exceeded', limit: 'requestsPerMinute' });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('refuses results that were redirected outside the allowed domains', () => {
+    const allowUrl = (url) => new URL(url).hostname.endsWith('.allowed.test');
+    expect(() => assertRedirectsAllowed({ url: 'https://www.allowed.test/', redirects: ['https://www.allowed.test/', 'https://docs.allowed.test/'] }, allowUrl)).not.toThrow();
+    expect(() => assertRedirectsAllowed({ url: 'https://www.allowed.test/', redirects: ['https://www.allowed.test/', 'https://elsewhere.test/'] }, allowUrl))
+      .toThrow(expect.objectContaining({ code: 'DOMAIN_NOT_ALLOWED', statusCode: 403, details: { code: 'DOMAIN_NOT_ALLOWED', url: 'https://elsewhere.test/' } }));
+  });
+
+  it('reports usage to admin keys only', async () => {
+    expect((await request(app).get('/admin/keys').set('X-API-Key', 'client-secret')).status).toBe(403);
+
+    const res = await request(app).get('/admin/keys').set('X-API-Key', 'admin-secret');
+    expect(res.status).toBe(200);
+    const client = res.body.keys.find((key) => key.id === 'client');
+    expect(client.usage).toMatchObject({ requestsTotal: 2, rejectedTotal: 2, requestsThisMinute: 2, active: 0 });
+    expect(JSON.stringify(res.body)).not.toContain('secret');
+  });
+
+  it('keeps jobs and watches private to the key that created them', async () => {
+    const created = await request(app).post('/watches').set('X-API-Key', 'owner-secret')
+      .send({ url: 'https://owned.test/', interval: '1h', options: { headers: { cookie: 'session=abc' } } });
+    expect(created.status).toBe(201);
+    expect(created.body.apiKeyId).toBe('owner');
+    // the cookie is kept for the runs but never shown
+    expect(created.body.options.headers).toEqual({ cookie: '[redacted]' });
+    expect((await request(app).get(`/watches/${created.body.id}`).set('X-API-Key', 'owner-secret')).body.options.headers).toEqual({ cookie: '[redacted]' });
+    const stored = path.join(dir, 'watches', `${created.body.id}.json`);
+    expect(JSON.parse(fs.readFileSync(stored, 'utf8')).options.headers).toEqual({ cookie: 'session=abc' });
+    expect(fs.statSync(stored).mode & 0o777).toBe(0o600);
+    const { id } = created.body;
+
+    const listFor = async (secret) => (await request(app).get('/watches').set('X-API-Key', secret)).body.watches.map((watch) => watch.id);
+    expect(await listFor('owner-secret')).toEqual([id]);
+    expect(await listFor('other-secret')).toEqual([]);
+    expect(await listFor('admin-secret')).toEqual([id]);
+    expect((await request(app).get(`/watches/${id}`).set('X-API-Key', 'other-secret')).status).toBe(404);
+    expect((await request(app).get(`/watches/${id}/history`).set('X-API-Key', 'other-secret')).status).toBe(404);
+    expect((await request(app).delete(`/watches/${id}`).set('X-API-Key', 'other-secret')).status).toBe(404);
+    expect((await request(app).get(`/watches/${id}`).set('X-API-Key', 'admin-secret')).status).toBe(200);
+    expect((await request(app).delete(`/watches/${id}`).set('X-API-Key', 'owner-secret')).status).toBe(204);
+
+    // the job fails on DNS without reaching a browser
+    const job = await request(app).post('/jobs').set('X-API-Key', 'owner-secret').send({ url: 'https://owned.invalid/' });
+    expect(job.status).toBe(202);
+    expect((await request(app).get(job.body.statusUrl).set('X-API-Key', 'other-secret')).status).toBe(404);
+    expect((await request(app).get(job.body.statusUrl).set('X-API-Key', 'admin-secret')).status).toBe(200);
+    const owned = await request(app).get(job.body.statusUrl).set('X-API-Key', 'owner-secret');
+    expect(owned.status).toBe(200);
+    expect(owned.body.apiKeyId).toBe('owner');
+  });
+
+  it('holds the concurrent slot of a job until its crawl has finished', async () => {
+    // the job's DNS lookup hangs until the test lets it fail, so the job stays running
+    let failLookup;
+    const lookup = vi.spyOn(dns.promises, 'lookup').mockImplementation(() => new Promise((_resolve, rejectLookup) => {
+      failLookup = () => rejectLookup(Object.assign(new Error('getaddrinfo ENOTFOUND slot.test'), { code: 'ENOTFOUND' }));
+    }));
+    try {
+      const job = await request(app).post('/jobs').set('X-API-Key', 'single-secret').send({ url: 'https://slot.test/' });
+      expect(job.status).toBe(202);
+      const second = await request(app).post('/jobs').set('X-API-Key', 'single-secret').send({ url: 'https://slot.test/' });
+      expect(second.status).toBe(429);
+      expect(second.body.limit).toBe('maxConcurrent');
+
+      await vi.waitFor(() => expect(failLookup).toBeTypeOf('function'));
+      failLookup();
+      await vi.waitFor(async () => {
+        expect((await request(app).get(job.body.statusUrl).set('X-API-Key', 'single-secret')).body.status).toBe('failed');
+      });
+      const usage = (await request(app).get('/admin/keys').set('X-API-Key', 'admin-secret')).body.keys.find((key) => key.id === 'single').usage;
+      expect(usage.active).toBe(0);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('meters watch runs against the owning key', () => {
+    expect(meterApiKeyRun(null, 'https://runs.test/')).toBeTypeOf('function');
+    expect(() => meterApiKeyRun('retired', 'https://runs.test/')).toThrow(expect.objectContaining({ code: 'API_KEY_REVOKED' }));
+    expect(() => meterApiKeyRun('runner', 'https://elsewhere.test/')).toThrow(expect.objectContaining({ code: 'DOMAIN_NOT_ALLOWED' }));
+
+    const release = meterApiKeyRun('runner', 'https://runs.test/');
+    expect(() => meterApiKeyRun('runner', 'https://runs.test/')).toThrow(expect.objectContaining({ code: 'QUOTA_EXCEEDED', statusCode: 429 }));
+    release();
+  });
+});
@@ -0,0 +1,81 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const { chromium } = vi.hoisted(() => ({
+  chromium: { connectOverCDP: vi.fn(), launch: vi.fn() },
+}));
+vi.mock('rebrowser-playwright', () => ({ chromium }));
+
+const { acquireContext, closeSharedBrowser, getLastBrowserError, getPoolStats } = await import('../src/services/browserManager.js');
+
+const stubBrowser = () => {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.isConnected = () => browser.connected;
+  browser.newContext = vi.fn(async () => ({ close: async () => {} }));
+  browser.close = vi.fn(async () => {
+    browser.connected = false;
+  });
+  return browser;
+};
+
+const launchBrowsers = () => {
+  chromium.connectOverCDP.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:9222'));
+  chromium.launch.mockImplementation(async () => stubBrowser());
+};
+
+describe('browser pool', () => {
+  afterEach(async () => {
+    await closeSharedBrowser();
+    vi.clearAllMocks();
+  });
+
+  it('clears the last error once a later launch strategy succeeds', async () => {
+    launchBrowsers();
+    const lease = await acquireContext();
+    await lease.release();
+    expect(getLastBrowserError()).toBeNull();
+  });
+
+  it('keeps a connected browser after a page-level failure or a failed context', async () => {
+    launchBrowsers();
+    const first = await acquireContext();
+    await first.release({ crashed: true });
+
+    first.browser.newContext.mockRejectedValueOnce(new Error('Target page, context or browser has been closed'));
+    await expect(acquireContext()).rejects.toThrow('has been closed');
+
+    const second = await acquireContext();
+    expect(second.browser).toBe(first.browser);
+    await second.release();
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+    expect(getPoolStats().recycles).toBe(0);
+  });
+
+  it('replaces the browser once it disconnects', async () => {
+    launchBrowsers();
+    const first = await acquireContext();
+    first.browser.connected = false;
+    first.browser.emit('disconnected');
+    await first.release({ crashed: true });
+
+    const second = await acquireContext();
+    expect(second.browser).not.toBe(first.browser);
+    await second.release();
+    expect(chromium.launch).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries on a fresh browser when the shared one died before a context could open', async () => {
+    launchBrowsers();
+    const first = await acquireContext();
+    await first.release();
+    first.browser.connected = false;
+    first.browser.newContext.mockRejectedValueOnce(new Error('Browser has been closed'));
+
+    const second = await acquireContext();
+    expect(second.browser).not.toBe(first.browser);
+    await second.release();
+  });
+});
@@ -0,0 +1,58 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import dns from 'dns';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { cacheKey, crawlWithCache, normalizeCacheUrl } from '../src/services/cacheService.js';
+
+describe('result cache', () => {
+  it('normalizes URLs for cache keys', () => {
+    expect(normalizeCacheUrl('https://Example.com/a?b=2&utm_source=x&a=1#top')).toBe('https://example.com/a?a=1&b=2');
+    expect(cacheKey('https://example.com/a', { sanitize: true, cache: false, ignoreRobots: true }))
+      .toBe(cacheKey('https://example.com/a', { sanitize: true }));
+    expect(cacheKey('https://example.com/a', { sanitize: true })).not.toBe(cacheKey('https://example.com/a', { sanitize: false }));
+    expect(cacheKey('https://example.com/a', { format: ['text', 'frontmatter'] })).toBe(cacheKey('https://example.com/a', { format: ['markdown'] }));
+    expect(cacheKey('https://example.com/a', { format: ['html'] })).not.toBe(cacheKey('https://example.com/a', { format: ['markdown'] }));
+  });
+
+  it('serves repeated crawls from cache until bypassed', async () => {
+    const target = new URL('https://cache-test.example/page');
+    const crawl = vi.fn(async () => ({ url: target.href, hash: 'abc', headers: {}, markdown: '# Page' }));
+
+    const first = await crawlWithCache(target, { sanitize: true }, crawl);
+    expect(first.cache).toMatchObject({ hit: false, status: 'miss', ageSeconds: 0 });
+
+    const second = await crawlWithCache(target, { sanitize: true }, crawl);
+    expect(second.cache).toMatchObject({ hit: true, status: 'hit' });
+    expect(second.markdown).toBe('# Page');
+    expect(crawl).toHaveBeenCalledTimes(1);
+
+    const bypassed = await crawlWithCache(target, { sanitize: true, cache: false }, crawl);
+    expect(bypassed.cache).toMatchObject({ hit: false, status: 'bypass' });
+    expect(crawl).toHaveBeenCalledTimes(2);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('crawls stale results with artifact URLs or a WARC again instead of revalidating them', async () => {
+    const target = new URL('https://cache-test.example/captured');
+    const crawl = vi.fn(async () => ({
+      url: target.href,
+      headers: { etag: '"v1"' },
+      markdown: '# Captured',
+      artifacts: { pdf: { contentType: 'application/pdf', bytes: 10, url: '/artifacts/x.pdf' } },
+    }));
+    const start = Date.now();
+    await crawlWithCache(target, { renderPdf: true }, crawl);
+
+    // revalidating would resolve the host for robots.txt and the conditional request
+    const lookup = vi.spyOn(dns.promises, 'lookup');
+    vi.spyOn(Date, 'now').mockReturnValue(start + config.cache.ttlMs + 1000);
+    const stale = await crawlWithCache(target, { renderPdf: true }, crawl);
+    expect(stale.cache).toMatchObject({ hit: false, status: 'miss' });
+    expect(crawl).toHaveBeenCalledTimes(2);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { detectChallenge, passChallenge } from '../src/services/challengeDetector.js';
+
+const CHALLENGE_PAGE = { title: 'Just a moment...', selectors: ['#challenge-running'], text: 'Checking your browser' };
+const ARTICLE_PAGE = { title: 'Article', selectors: [], text: 'Lorem ipsum' };
+
+const stubResponse = (status, { navigation = true } = {}) => ({
+  status: () => status,
+  headers: () => ({ 'content-type': 'text/html' }),
+  request: () => ({ isNavigationRequest: () => navigation }),
+  frame: () => 'main',
+});
+
+/**
+ * A page whose snapshots follow `script`: each evaluate() returns the next entry (the last one
+ * repeats), an Error entry is thrown as a mid-navigation failure, and a function entry runs first
+ * with the page so it can emit navigation responses.
+ */
+function stubPage(script, { reloadStatus = 403 } = {}) {
+  const page = new EventEmitter();
+  let step = 0;
+  page.evaluate = vi.fn(async () => {
+    let entry = script[Math.min(step, script.length - 1)];
+    step += 1;
+    if (typeof entry === 'function') entry = entry(page);
+    if (entry instanceof Error) throw entry;
+    return entry;
+  });
+  page.mainFrame = () => 'main';
+  page.waitForLoadState = vi.fn(async () => {});
+  page.reload = vi.fn(async () => stubResponse(reloadStatus));
+  return page;
+}
+
+describe('challenge detection', () => {
+  it('recognises JS challenges by title and DOM markers', () => {
+    expect(detectChallenge({ status: 403, title: 'Just a moment...', text: 'Checking your browser' })).toMatchObject({ vendor: 'cloudflare', passable: true });
+    expect(detectChallenge({ status: 200, title: 'Shop', selectors: ['#sec-if-cpt-container'] })).toMatchObject({ vendor: 'akamai', passable: true });
+  });
+
+  it('recognises hard blocks by text and headers on challenge statuses', () => {
+    expect(detectChallenge({ status: 403, title: 'Attention Required! | Cloudflare' })).toMatchObject({ vendor: 'cloudflare', passable: false });
+    expect(detectChallenge({ status: 403, headers: { 'x-datadome': 'protected' }, text: 'Please enable JS' })).toMatchObject({ vendor: 'datadome', signal: 'x-datadome header' });
+    expect(detectChallenge({ status: 200, text: 'Request unsuccessful. Incapsula incident ID: 1234' })).toMatchObject({ vendor: 'imperva' });
+    // CDN headers alone do not make an ordinary 404 a block
+    expect(detectChallenge({ status: 404, headers: { server: 'AkamaiGHost' }, title: 'Not found' })).toBeNull();
+  });
+
+  it('only counts generic captchas and injected vendor scripts on challenge statuses', () => {
+    const article = 'Lorem ipsum dolor sit amet. '.repeat(200);
+    const cfScript = 'script[src*="/cdn-cgi/challenge-platform/"]';
+    const incapsulaScript = 'script[src*="_Incapsula_Resource"]';
+    expect(detectChallenge({ status: 200, title: 'Contact us', selectors: ['.g-recaptcha'], text: article })).toBeNull();
+    expect(detectChallenge({ status: 200, title: 'Shop', selectors: [cfScript, incapsulaScript], text: article })).toBeNull();
+    // short login and contact pages embed the same widgets and scripts
+    expect(detectChallenge({ status: 200, title: 'Sign in', selectors: ['.g-recaptcha'], text: 'Email Password Sign in' })).toBeNull();
+    expect(detectChallenge({ status: 200, title: 'Contact', selectors: [cfScript, 'script[src*="awswaf.com"]'], text: 'Write to us' })).toBeNull();
+    expect(detectChallenge({ status: 200, title: '', selectors: [incapsulaScript], text: '' })).toBeNull();
+
+    expect(detectChallenge({ status: 403, title: 'Verify', selectors: ['.g-recaptcha'], text: 'Are you a robot?' })).toMatchObject({ vendor: 'captcha', passable: false });
+    expect(detectChallenge({ status: 403, title: 'Shop', selectors: [cfScript], text: article })).toMatchObject({ vendor: 'cloudflare', passable: true });
+    expect(detectChallenge({ status: 503, title: '', selectors: [incapsulaScript], text: '' })).toMatchObject({ vendor: 'imperva', passable: false });
+  });
+});
+
+describe('passChallenge', () => {
+  let waitMs;
+  beforeAll(() => {
+    waitMs = config.challenges.waitMs;
+    config.challenges.waitMs = 1;
+  });
+  afterAll(() => {
+    config.challenges.waitMs = waitMs;
+  });
+
+  it('returns the original response when there is no challenge', async () => {
+    const page = stubPage([ARTICLE_PAGE]);
+    const response = stubResponse(200);
+    await expect(passChallenge(page, response, { url: 'https://example.com/' })).resolves.toBe(response);
+    expect(page.reload).not.toHaveBeenCalled();
+  });
+
+  it('returns the page the challenge navigated to once it clears', async () => {
+    const cleared = stubResponse(200);
+    const page = stubPage([
+      CHALLENGE_PAGE,
+      (p) => {
+        // the challenge script satisfies itself and navigates the main frame
+        p.emit('response', stubResponse(200, { navigation: false }));
+        p.emit('response', cleared);
+        return ARTICLE_PAGE;
+      },
+    ]);
+    await expect(passChallenge(page, stubResponse(403), { url: 'https://example.com/' })).resolves.toBe(cleared);
+    expect(page.reload).not.toHaveBeenCalled();
+    expect(page.listenerCount('response')).toBe(0);
+  });
+
+  it('looks again when the page navigates during inspection, and reloads before giving up on a wait', async () => {
+    const page = stubPage([CHALLENGE_PAGE, new Error('Execution context was destroyed'), CHALLENGE_PAGE, ARTICLE_PAGE], { reloadStatus: 200 });
+    const result = await passChallenge(page, stubResponse(403), { url: 'https://example.com/', waitUntil: 'load' });
+    expect(result.status()).toBe(200);
+    expect(page.reload).toHaveBeenCalledTimes(1);
+    expect(page.reload).toHaveBeenCalledWith({ waitUntil: 'load' });
+  });
+
+  it('fails as blocked with the vendor after the refreshes run out', async () => {
+    const page = stubPage([CHALLENGE_PAGE]);
+    await expect(passChallenge(page, stubResponse(403), { url: 'https://example.com/' })).rejects.toMatchObject({
+      code: 'BLOCKED',
+      details: { vendor: 'cloudflare', upstreamStatus: 403 },
+    });
+    expect(page.reload).toHaveBeenCalledTimes(2);
+    expect(page.listenerCount('response')).toBe(0);
+  });
+
+  it('does not retry captchas and hard blocks', async () => {
+    const page = stubPage([{ title: 'Attention Required! | Cloudflare', selectors: [], text: 'Sorry, you have been blocked' }]);
+    await expect(passChallenge(page, stubResponse(403), { url: 'https://example.com/' })).rejects.toMatchObject({ code: 'BLOCKED' });
+    expect(page.reload).not.toHaveBeenCalled();
+  });
+});
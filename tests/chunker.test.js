@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { chunkMarkdown } from '../src/utils/chunker.js';
+
+const MARKDOWN = `Intro paragraph.
+
+# Guide
+
+Overview text.
+
+## Install
+
+\`\`\`sh
+# not a heading
+npm install
+\`\`\`
+
+## Usage
+
+${'Sentence about usage. '.repeat(30).trim()}
+
+# Appendix
+
+Notes.`;
+
+describe('markdown chunking', () => {
+  const chunks = chunkMarkdown(MARKDOWN, { maxChars: 250, overlap: 40 });
+
+  it('splits on headings and carries the breadcrumb path', () => {
+    expect(chunks[0]).toMatchObject({ index: 0, text: 'Intro paragraph.', headings: [] });
+    expect(chunks[1].headings).toEqual(['Guide']);
+    expect(chunks[2].headings).toEqual(['Guide', 'Install']);
+    expect(chunks[2].text).toContain('# not a heading');
+    expect(chunks[chunks.length - 1]).toMatchObject({ headings: ['Appendix'], text: '# Appendix\n\nNotes.' });
+  });
+
+  it('keeps long sections under the maximum with overlapping pieces', () => {
+    const usage = chunks.filter((chunk) => chunk.headings.join('/') === 'Guide/Usage');
+    expect(usage.length).toBeGreaterThan(1);
+    usage.forEach((chunk) => expect(chunk.text.length).toBeLessThanOrEqual(250));
+    expect(usage[1].start).toBeLessThan(usage[0].end);
+  });
+
+  it('reports offsets into the source, token estimates and per-chunk hashes', () => {
+    chunks.forEach((chunk) => {
+      expect(MARKDOWN.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      expect(chunk.tokens).toBe(Math.ceil(chunk.text.length / 4));
+      expect(chunk.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+    expect(chunkMarkdown(MARKDOWN, { maxChars: 250, overlap: 40 })[1].hash).toBe(chunks[1].hash);
+  });
+});
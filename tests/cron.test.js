@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { nextCronRun, parseCron } from '../src/utils/cron.js';
+
+const at = (text) => new Date(text);
+
+describe('cron schedules', () => {
+  it('finds the next matching minute', () => {
+    expect(nextCronRun(parseCron('*/15 * * * *'), at('2025-03-10T10:07:30')).getTime()).toBe(at('2025-03-10T10:15:00').getTime());
+    expect(nextCronRun(parseCron('0 9 * * *'), at('2025-03-10T09:00:00')).getTime()).toBe(at('2025-03-11T09:00:00').getTime());
+  });
+
+  it('treats restricted day-of-month and day-of-week as either/or', () => {
+    // 2025-03-10 is a Monday; the next 1st of the month or Friday is Friday the 14th
+    expect(nextCronRun(parseCron('30 6 1 * 5'), at('2025-03-10T12:00:00')).getTime()).toBe(at('2025-03-14T06:30:00').getTime());
+  });
+
+  it('accepts 7 as Sunday and rolls over months and years', () => {
+    expect(nextCronRun(parseCron('0 0 * * 7'), at('2025-03-10T00:00:00')).getDay()).toBe(0);
+    expect(nextCronRun(parseCron('0 0 1 1 *'), at('2025-03-10T00:00:00')).getTime()).toBe(at('2026-01-01T00:00:00').getTime());
+  });
+
+  it('returns null for schedules that never fire', () => {
+    expect(nextCronRun(parseCron('0 0 30 2 *'), at('2025-03-10T00:00:00'))).toBeNull();
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow(/5 fields/);
+    expect(() => parseCron('61 * * * *')).toThrow(/minute/);
+    expect(() => parseCron('* * * jan *')).toThrow(/month/);
+  });
+});
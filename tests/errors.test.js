@@ -0,0 +1,39 @@
+process.env.NODE_ENV = 'test';
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import { describe, it, expect } from 'vitest';
+import { CrawlError, describeFailure, toCrawlError, upstreamError } from '../src/utils/errors.js';
+
+describe('crawl error codes', () => {
+  it('classifies browser and network errors', () => {
+    const cases = [
+      ['page.goto: net::ERR_NAME_NOT_RESOLVED at https://nope.test/', 'DNS_FAILURE', 502],
+      ['page.goto: net::ERR_CONNECTION_REFUSED at http://example.com:81/', 'CONNECTION_REFUSED', 502],
+      ['page.goto: net::ERR_CERT_AUTHORITY_INVALID at https://self-signed.test/', 'TLS_ERROR', 502],
+      ['page.goto: Timeout 60000ms exceeded.', 'NAV_TIMEOUT', 504],
+      ["browserType.launch: Executable doesn't exist at /ms-playwright/chromium", 'BROWSER_LAUNCH_FAILED', 503],
+      ['page.goto: net::ERR_CONNECTION_RESET', 'NETWORK_ERROR', 502],
+      ['something odd', 'CRAWL_FAILED', 500],
+    ];
+    cases.forEach(([message, code, statusCode]) => {
+      const failure = toCrawlError(new Error(message), { upstreamStatus: null });
+      expect(failure, message).toMatchObject({ code, statusCode });
+      expect(failure.details).toEqual({ code, upstreamStatus: null, details: message });
+    });
+  });
+
+  it('keeps coded errors and maps upstream statuses', () => {
+    const notFound = toCrawlError(upstreamError(404), { upstreamStatus: 404 });
+    expect(notFound).toMatchObject({ code: 'UPSTREAM_4XX', statusCode: 502, message: 'Upstream responded with 404' });
+    expect(upstreamError(503).code).toBe('UPSTREAM_5XX');
+
+    const validation = new CrawlError('Invalid crawl options', { statusCode: 400, details: { fields: {} } });
+    expect(toCrawlError(validation)).toBe(validation);
+  });
+
+  it('summarises failures for jobs and watches', () => {
+    const blocked = new CrawlError('Blocked by bot challenge', { code: 'BLOCKED', details: { vendor: 'cloudflare', upstreamStatus: 403 } });
+    expect(describeFailure(blocked)).toEqual({ message: 'Blocked by bot challenge', code: 'BLOCKED', upstreamStatus: 403, vendor: 'cloudflare' });
+    expect(describeFailure(new Error('net::ERR_NAME_NOT_RESOLVED'))).toEqual({ message: 'Could not resolve host', code: 'DNS_FAILURE' });
+  });
+});
@@ -0,0 +1,69 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { getRulesForUrl, reloadExtractionRules } from '../src/services/extractionRules.js';
+import { convertHtmlToMarkdown } from '../src/utils/markdown.js';
+
+describe('extraction rules', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcrawl-rules-'));
+  const file = path.join(dir, 'rules.json');
+  const originalFile = config.extractionRules.file;
+
+  beforeAll(() => {
+    config.extractionRules.file = file;
+  });
+
+  afterAll(() => {
+    config.extractionRules.file = originalFile;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('matches hostname patterns and merges matching rules in file order', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      rules: [
+        { hosts: ['news.example.com'], contentSelector: '.story-body', keep: '.pull-quote', titleSelector: 'h1.headline' },
+        { hosts: ['*.example.com'], strip: ['.newsletter-box'], titleSelector: 'h1' },
+        { hosts: ['blog.test'], dateSelector: 'time[datetime]' },
+      ],
+    }));
+    expect(reloadExtractionRules().rules).toHaveLength(3);
+
+    expect(getRulesForUrl('https://news.example.com/a')).toEqual({
+      contentSelector: ['.story-body'],
+      keep: ['.pull-quote'],
+      strip: ['.newsletter-box'],
+      titleSelector: 'h1.headline',
+    });
+    expect(getRulesForUrl('https://example.com/')).toEqual({ strip: ['.newsletter-box'], titleSelector: 'h1' });
+    expect(getRulesForUrl('https://www.blog.test/post')).toEqual({ dateSelector: 'time[datetime]' });
+    expect(getRulesForUrl('https://notexample.com/')).toBeNull();
+  });
+
+  it('keeps the previous rules when the file is invalid', () => {
+    fs.writeFileSync(file, JSON.stringify([{ hosts: ['a.test'], contentSelector: 'main' }]));
+    reloadExtractionRules();
+
+    fs.writeFileSync(file, JSON.stringify([{ contentSelector: 'main' }]));
+    expect(() => reloadExtractionRules()).toThrow(/needs "hosts"/);
+    expect(getRulesForUrl('https://a.test/')).toEqual({ contentSelector: ['main'] });
+
+    fs.rmSync(file);
+    expect(reloadExtractionRules().rules).toEqual([]);
+    expect(getRulesForUrl('https://a.test/')).toBeNull();
+  });
+
+  it('converts page chrome that a keep selector marked', () => {
+    // extractHtmlContent marks `keep` matches with data-flashcrawl-keep before anything is stripped
+    const html = `<article><p>Body text</p>
+      <aside class="related-reading" data-flashcrawl-keep=""><h2>Related reading</h2><nav><a href="/next">Next story</a></nav></aside>
+      <aside>Advert</aside><nav>Menu</nav></article>`;
+    const markdown = convertHtmlToMarkdown(html);
+    expect(markdown).toContain('Related reading');
+    expect(markdown).toContain('[Next story](/next)');
+    expect(markdown).not.toMatch(/Advert|Menu/);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { buildFormats, markdownToText, toFrontMatter } from '../src/utils/formats.js';
+
+const RESULT = {
+  url: 'https://example.com/post',
+  markdown: '# Title\n\nSome **bold** and [a link](https://example.com/x).\n\n- one\n- two\n\n| a | b |\n| --- | --- |\n| 1 | 2 |',
+  metadata: { title: 'Title: "quoted"', h1: ['Title'], h2: [], openGraph: { type: 'article' }, jsonLd: [{ '@type': 'Article' }] },
+};
+
+describe('output formats', () => {
+  it('strips markdown syntax for plain text', () => {
+    expect(markdownToText(RESULT.markdown)).toBe('Title\n\nSome bold and a link.\n\none\ntwo\n\na\tb\n1\t2');
+  });
+
+  it('prepends YAML front matter without empty fields or JSON-LD', () => {
+    expect(toFrontMatter(RESULT)).toBe([
+      '---',
+      'source: "https://example.com/post"',
+      'title: "Title: \\"quoted\\""',
+      'h1:',
+      '  - "Title"',
+      'openGraph:',
+      '  type: "article"',
+      '---',
+      '',
+      RESULT.markdown,
+    ].join('\n'));
+  });
+
+  it('leaves out list items and objects whose fields are all empty', () => {
+    const result = { url: 'https://example.com/', markdown: '', metadata: { images: [{ url: '', alt: '' }, { url: 'https://example.com/a.png', alt: '' }], twitter: { card: '' } } };
+    expect(toFrontMatter(result)).toBe('---\nsource: "https://example.com/"\nimages:\n  - url: "https://example.com/a.png"\n---\n\n');
+    expect(toFrontMatter({ ...result, metadata: { images: [{ url: null }] } })).toBe('---\nsource: "https://example.com/"\n---\n\n');
+  });
+
+  it('hashes each format separately and returns null html when none was kept', () => {
+    const formats = buildFormats(RESULT, ['markdown', 'text', 'html']);
+    expect(formats.markdown.content).toBe(RESULT.markdown);
+    expect(formats.text.hash).not.toBe(formats.markdown.hash);
+    expect(formats.html).toBeNull();
+  });
+});
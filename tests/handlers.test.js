@@ -0,0 +1,102 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  dispositionFilename,
+  handlerForBytes,
+  registerHandler,
+  resolveHandler,
+  unregisterHandler,
+} from '../src/services/handlerRegistry.js';
+import { createTextHandler, csvToMarkdownTable, parseCsv } from '../src/services/textHandler.js';
+import { readBody } from '../src/services/handlerSupport.js';
+
+const fakeResponse = (body, contentType) => ({
+  body: async () => Buffer.from(body),
+  headers: () => ({ 'content-type': contentType }),
+  status: () => 200,
+});
+
+describe('content handler registry', () => {
+  afterEach(() => unregisterHandler('epub'));
+
+  it('resolves by MIME type and structured suffix', async () => {
+    expect((await resolveHandler({ contentType: 'application/pdf' })).name).toBe('pdf');
+    expect((await resolveHandler({ contentType: 'application/rss+xml; charset=utf-8' })).name).toBe('xml');
+    expect((await resolveHandler({ contentType: 'application/xhtml+xml' })).name).toBe('html');
+    expect(await resolveHandler({ contentType: 'image/png' })).toBeNull();
+  });
+
+  it('prefers binary magic bytes, then Content-Disposition, over the declared type', async () => {
+    const pdf = async () => Buffer.from('%PDF-1.7\n...');
+    const loginPage = async () => Buffer.from('<!DOCTYPE html><html><body>Sign in</body></html>');
+    expect((await resolveHandler({ contentType: 'text/html', readBody: pdf })).name).toBe('pdf');
+    expect((await resolveHandler({ contentType: 'text/html', readBody: loginPage })).name).toBe('html');
+    expect((await resolveHandler({
+      contentType: 'application/octet-stream',
+      contentDisposition: 'attachment; filename="export.csv"',
+      readBody: async () => Buffer.from('a,b\n1,2'),
+    })).name).toBe('csv');
+    // text sniffing never overrides a declared type
+    const xhtml = async () => Buffer.from('<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"></html>');
+    expect((await resolveHandler({ contentType: 'application/xhtml+xml', readBody: xhtml })).name).toBe('html');
+  });
+
+  it('reads file names from Content-Disposition', () => {
+    expect(dispositionFilename('attachment; filename="Q3 report.pdf"')).toBe('Q3 report.pdf');
+    expect(dispositionFilename("attachment; filename=fallback.pdf; filename*=UTF-8''r%C3%A9sum%C3%A9.docx")).toBe('résumé.docx');
+    expect(dispositionFilename('inline')).toBeNull();
+  });
+
+  it('sniffs magic bytes when the MIME type is generic', async () => {
+    const readBody = async () => Buffer.from('%PDF-1.7\n...');
+    expect((await resolveHandler({ contentType: 'application/octet-stream', readBody })).name).toBe('pdf');
+    expect(handlerForBytes(Buffer.from('  {"ok": true}')).name).toBe('json');
+    expect(handlerForBytes(Buffer.from('PK\x03\x04....word/document.xml....', 'latin1')).name).toBe('docx');
+  });
+
+  it('lets custom handlers take precedence', async () => {
+    const handleRequest = async () => ({ markdown: 'custom' });
+    registerHandler({ name: 'epub', mimeTypes: ['application/epub+zip'], magic: [{ offset: 30, bytes: 'mimetype' }], handleRequest });
+    expect((await resolveHandler({ contentType: 'application/epub+zip' })).handleRequest).toBe(handleRequest);
+    expect(() => registerHandler({ name: 'broken', handleRequest })).toThrow(/mimeTypes, extensions or magic/);
+  });
+});
+
+describe('text handlers', () => {
+  it('renders CSV as a GFM table with quoted cells', () => {
+    const rows = parseCsv('name,notes\r\n"Smith, Ann","said ""hi""\nand left"\nBob,a|b\n');
+    expect(rows).toEqual([['name', 'notes'], ['Smith, Ann', 'said "hi"\nand left'], ['Bob', 'a|b']]);
+    expect(csvToMarkdownTable(rows)).toBe(
+      '| name | notes |\n| --- | --- |\n| Smith, Ann | said "hi"<br>and left |\n| Bob | a\\|b |',
+    );
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('converts JSON bodies to a fenced block with shape metadata', async () => {
+    const handle = createTextHandler('json');
+    const result = await handle({ response: fakeResponse('{"b":1,"a":[2]}', 'application/json'), url: 'https://example.com/data' });
+    expect(result.markdown).toBe('```json\n{\n  "b": 1,\n  "a": [\n    2\n  ]\n}\n```');
+    expect(result.metadata).toMatchObject({ type: 'object', keys: ['b', 'a'] });
+    expect(result.headers).toMatchObject({ 'content-type': 'application/json', status: 200 });
+    expect(result.hash).toHaveLength(64);
+  });
+
+  it('refuses a declared oversize body before reading it', async () => {
+    let read = false;
+    const context = {
+      request: {
+        get: async () => ({
+          ok: () => true,
+          status: () => 200,
+          headers: () => ({ 'content-type': 'text/csv', 'content-length': String(60 * 1024 * 1024) }),
+          body: async () => { read = true; return Buffer.alloc(0); },
+        }),
+      },
+    };
+    await expect(readBody({ context, url: 'http://93.184.216.34/export.csv' })).rejects.toMatchObject({ statusCode: 502, details: { code: 'TOO_LARGE' } });
+    expect(read).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { noteHostResponse, parseRetryAfter, withHostSlot } from '../src/services/hostScheduler.js';
+
+describe('host scheduler', () => {
+  const original = { hosts: { ...config.hosts }, robotsEnabled: config.robots.enabled };
+
+  beforeAll(() => {
+    Object.assign(config.hosts, { requestsPerSecond: 20, maxConcurrent: 1, backoffMs: 150 });
+    config.robots.enabled = false;
+  });
+
+  afterAll(() => {
+    Object.assign(config.hosts, original.hosts);
+    config.robots.enabled = original.robotsEnabled;
+  });
+
+  it('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+
+  it('queues crawls of one host and spaces their starts', async () => {
+    const starts = [];
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+      starts.push(Date.now());
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => { setTimeout(resolve, 10); });
+      running -= 1;
+    };
+
+    await Promise.all([1, 2, 3].map((n) => withHostSlot(`https://www.spaced.test/${n}`, {}, task)));
+    expect(maxRunning).toBe(1);
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+  });
+
+  it('pauses a host after 429/503', async () => {
+    noteHostResponse('https://busy.test/a', 503);
+    const queuedAt = Date.now();
+    const startedAt = await withHostSlot('https://busy.test/b', {}, async () => Date.now());
+    expect(startedAt - queuedAt).toBeGreaterThanOrEqual(140);
+
+    const other = Date.now();
+    expect(await withHostSlot('https://calm.test/', {}, async () => Date.now()) - other).toBeLessThan(100);
+
+    // www and the bare domain are separate hosts
+    noteHostResponse('https://www.split.test/', 503);
+    const apex = Date.now();
+    expect(await withHostSlot('https://split.test/', {}, async () => Date.now()) - apex).toBeLessThan(100);
+  });
+});
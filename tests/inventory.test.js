@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { buildInventory, readInventoryFromHtml } from '../src/utils/markdown.js';
+
+const HTML = `
+<nav><a href="/docs?utm_source=nav" rel="nofollow noopener">Docs</a></nav>
+<main>
+  <a href="https://www.example.com/about#team"><span>About</span>  us</a>
+  <a href="https://other.org/" aria-label="Partner"><img src="/logo.png" alt=""></a>
+  <a href="mailto:hi@example.com">Mail</a>
+  <img src="hero.jpg" alt="Hero &amp; co" width="800" height="400">
+  <img data-src="//cdn.example.net/lazy.webp">
+</main>
+<footer><a href="/privacy">Privacy</a></footer>`;
+
+describe('link and image inventory', () => {
+  const inventory = buildInventory(readInventoryFromHtml(HTML), 'https://example.com/blog/post');
+
+  it('returns absolute, sanitized links with text, rel and an internal flag', () => {
+    expect(inventory.links).toEqual([
+      { url: 'https://example.com/docs', text: 'Docs', rel: ['nofollow', 'noopener'], internal: true },
+      { url: 'https://www.example.com/about', text: 'About us', rel: [], internal: true },
+      { url: 'https://other.org/', text: 'Partner', rel: [], internal: false },
+      { url: 'https://example.com/privacy', text: 'Privacy', rel: [], internal: true },
+    ]);
+  });
+
+  it('lists images with alt text and declared dimensions', () => {
+    expect(inventory.images).toEqual([
+      { src: 'https://example.com/logo.png', alt: '', width: null, height: null },
+      { src: 'https://example.com/blog/hero.jpg', alt: 'Hero & co', width: 800, height: 400 },
+      { src: 'https://cdn.example.net/lazy.webp', alt: null, width: null, height: null },
+    ]);
+  });
+});
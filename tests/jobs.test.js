@@ -0,0 +1,177 @@
+process.env.NODE_ENV = 'test';
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import http from 'http';
+import { createHmac } from 'crypto';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { config } from '../src/utils/config.js';
+import { CrawlError } from '../src/utils/errors.js';
+
+// crawls are settled by the tests, so no browser is involved
+const { crawlUrl } = vi.hoisted(() => ({ crawlUrl: vi.fn() }));
+vi.mock('../src/services/browserService.js', async (importOriginal) => ({ ...(await importOriginal()), crawlUrl }));
+
+let app;
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+const getJob = async (statusUrl) => (await request(app).get(statusUrl)).body;
+
+describe('async crawl jobs', () => {
+  const original = { jobs: { ...config.jobs }, webhooks: { ...config.webhooks }, ssrf: { ...config.ssrf } };
+  const received = [];
+  let receiver;
+  let receiverUrl;
+
+  beforeAll(async () => {
+    ({ app } = await import('../server.js'));
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(200).end();
+      });
+    });
+    await new Promise((resolve) => { receiver.listen(0, '127.0.0.1', resolve); });
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    Object.assign(config.jobs, { concurrency: 1 });
+    Object.assign(config.webhooks, { secret: 'job-test-secret' });
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.jobs, original.jobs);
+    Object.assign(config.webhooks, original.webhooks);
+    Object.assign(config.ssrf, original.ssrf);
+    await new Promise((resolve) => { receiver.close(resolve); });
+  });
+
+  it('moves jobs from queued to running to succeeded or failed', async () => {
+    const first = deferred();
+    const second = deferred();
+    crawlUrl.mockReturnValueOnce(first.promise).mockReturnValueOnce(second.promise);
+
+    const a = await request(app).post('/jobs').send({ url: 'https://example.com/a', options: { waitUntil: 'load' } });
+    expect(a.status).toBe(202);
+    expect(a.headers.location).toBe(a.body.statusUrl);
+    const b = await request(app).post('/jobs').send({ url: 'https://example.com/b' });
+    // JOB_CONCURRENCY is 1, so the second job waits for the first
+    expect(b.body.status).toBe('queued');
+
+    expect(await getJob(a.body.statusUrl)).toMatchObject({ status: 'running', startedAt: expect.any(String), finishedAt: null });
+    expect(crawlUrl).toHaveBeenCalledTimes(1);
+    expect(crawlUrl.mock.calls[0][0].href).toBe('https://example.com/a');
+    expect(crawlUrl.mock.calls[0][1]).toMatchObject({ waitUntil: 'load' });
+
+    first.resolve({ url: 'https://example.com/a', markdown: '# A', hash: 'aaa' });
+    await vi.waitFor(async () => expect((await getJob(a.body.statusUrl)).status).toBe('succeeded'));
+    const succeeded = await getJob(a.body.statusUrl);
+    expect(succeeded).toMatchObject({ result: { markdown: '# A' }, error: null, finishedAt: expect.any(String) });
+    expect(succeeded).not.toHaveProperty('crawlOptions');
+
+    await vi.waitFor(async () => expect((await getJob(b.body.statusUrl)).status).toBe('running'));
+    second.reject(new CrawlError('Upstream responded with 404', { code: 'UPSTREAM_4XX', details: { upstreamStatus: 404 } }));
+    await vi.waitFor(async () => expect((await getJob(b.body.statusUrl)).status).toBe('failed'));
+    expect(await getJob(b.body.statusUrl)).toMatchObject({
+      result: null,
+      error: { message: 'Upstream responded with 404', code: 'UPSTREAM_4XX', upstreamStatus: 404 },
+    });
+  });
+
+  it('delivers a signed webhook when the job finishes', async () => {
+    crawlUrl.mockResolvedValueOnce({ url: 'https://example.com/hooked', markdown: '# Hooked', hash: 'hhh' });
+    const job = await request(app).post('/jobs').send({ url: 'https://example.com/hooked', webhookUrl: receiverUrl });
+    expect(job.status).toBe(202);
+
+    await vi.waitFor(async () => expect((await getJob(job.body.statusUrl)).webhook?.delivered).toBe(true));
+    expect((await getJob(job.body.statusUrl)).webhook).toMatchObject({ url: receiverUrl, status: 200, attempts: 1, deliveredAt: expect.any(String) });
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(headers['x-flashcrawl-event']).toBe('job.succeeded');
+    const expected = createHmac('sha256', 'job-test-secret').update(`${headers['x-flashcrawl-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-flashcrawl-signature']).toBe(`sha256=${expected}`);
+    expect(Math.abs(Number(headers['x-flashcrawl-timestamp']) - Date.now() / 1000)).toBeLessThan(60);
+    expect(JSON.parse(body)).toMatchObject({ id: job.body.id, status: 'succeeded', result: { markdown: '# Hooked' } });
+    expect(JSON.parse(body)).not.toHaveProperty('webhook');
+  });
+
+  it('runs site crawls as jobs', async () => {
+    crawlUrl.mockImplementation(async (target) => ({
+      url: target.href,
+      markdown: `# ${target.pathname}`,
+      links: target.pathname === '/' ? ['https://example.com/docs', 'https://elsewhere.test/'] : [],
+    }));
+    try {
+      const invalid = await request(app).post('/jobs').send({ url: 'https://example.com/', site: { include: ['('] } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toMatch(/Invalid include pattern/);
+      expect((await request(app).post('/jobs').send({ url: 'https://example.com/', site: 'yes' })).status).toBe(400);
+
+      const job = await request(app).post('/jobs').send({ url: 'https://example.com/', site: { maxDepth: 1 }, options: { waitUntil: 'load' } });
+      expect(job.status).toBe(202);
+      await vi.waitFor(async () => expect((await getJob(job.body.statusUrl)).status).toBe('succeeded'));
+
+      const { type, result } = await getJob(job.body.statusUrl);
+      expect(type).toBe('site');
+      expect(result.pages.map((page) => [page.url, page.depth])).toEqual([['https://example.com/', 0], ['https://example.com/docs', 1]]);
+      expect(result.stats).toMatchObject({ crawled: 2, failed: 0, skipped: 1 });
+      expect(crawlUrl).toHaveBeenLastCalledWith(expect.any(URL), expect.objectContaining({ waitUntil: 'load', collectLinks: false }));
+    } finally {
+      crawlUrl.mockReset();
+    }
+  });
+
+  it('counts only successful pages toward maxPages and caps attempts', async () => {
+    const { crawlSite } = await import('../src/services/siteCrawlService.js');
+    const links = Array.from({ length: 10 }, (_, i) => `https://example.com/p${i}`);
+    crawlUrl.mockImplementation(async (target) => {
+      if (target.pathname === '/') return { url: target.href, links };
+      if (['/p0', '/p1'].includes(target.pathname)) throw new CrawlError('gone', { statusCode: 502 });
+      return { url: target.href, links: [] };
+    });
+    try {
+      const partial = await crawlSite(new URL('https://example.com/'), { maxDepth: 1, maxPages: 3 });
+      expect(partial.pages.map((page) => page.url)).toEqual(['https://example.com/', 'https://example.com/p2', 'https://example.com/p3']);
+      expect(partial.stats).toMatchObject({ crawled: 3, failed: 2 });
+
+      crawlUrl.mockImplementation(async (target) => {
+        if (target.pathname === '/') return { url: target.href, links };
+        throw new CrawlError('gone', { statusCode: 502 });
+      });
+      const failing = await crawlSite(new URL('https://example.com/'), { maxDepth: 1, maxPages: 3 });
+      expect(failing.stats).toMatchObject({ crawled: 1, failed: 5 });
+      expect(crawlUrl).toHaveBeenCalledTimes(5 + 6);
+    } finally {
+      crawlUrl.mockReset();
+    }
+  });
+
+  it('fails site pages that were redirected outside allowUrl', async () => {
+    const { crawlSite } = await import('../src/services/siteCrawlService.js');
+    crawlUrl.mockImplementation(async (target) => ({
+      url: target.href,
+      redirects: target.pathname === '/away' ? [target.href, 'https://elsewhere.test/'] : [target.href],
+      links: target.pathname === '/' ? ['https://example.com/away', 'https://example.com/stay'] : [],
+    }));
+    try {
+      const result = await crawlSite(new URL('https://example.com/'), {
+        maxDepth: 1,
+        maxPages: 5,
+        allowUrl: (url) => new URL(url).hostname === 'example.com',
+      });
+      expect(result.pages.map((page) => page.url)).toEqual(['https://example.com/', 'https://example.com/stay']);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ url: 'https://example.com/away', code: 'DOMAIN_NOT_ALLOWED', error: 'Redirected to a domain not allowed for this API key' }),
+      ]);
+    } finally {
+      crawlUrl.mockReset();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { buildMetadata, readHeadFromHtml } from '../src/utils/metadata.js';
+
+const HTML = `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <title>Launch &amp; Learn</title>
+  <link rel="canonical" href="/posts/launch">
+  <meta name="description" content="All about the launch">
+  <meta property="og:title" content="Launch">
+  <meta property="og:image" content="https://example.com/a.png">
+  <meta property="og:image" content="https://example.com/b.png">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta property="article:published_time" content="2024-05-01T10:00:00Z">
+  <script type="application/ld+json">
+    { "@context": "https://schema.org", "@graph": [
+      { "@type": "BlogPosting", "headline": "Launch", "author": [{ "@type": "Person", "name": "Ada" }], "dateModified": "2024-05-02T08:00:00Z" },
+      { "@type": "BreadcrumbList", "itemListElement": [] },
+      { "@type": "WebSite", "name": "Example" }
+    ] }
+  </script>
+  <script type="application/ld+json">{ not json }</script>
+</head>
+<body><h1>Launch</h1></body>
+</html>`;
+
+describe('page metadata', () => {
+  const metadata = buildMetadata(readHeadFromHtml(HTML), 'https://example.com/posts/launch?ref=x');
+
+  it('reads title, language and an absolute canonical URL', () => {
+    expect(metadata.title).toBe('Launch & Learn');
+    expect(metadata.lang).toBe('en-GB');
+    expect(metadata.canonicalUrl).toBe('https://example.com/posts/launch');
+    expect(metadata.description).toBe('All about the launch');
+  });
+
+  it('groups OpenGraph and Twitter fields, keeping repeated tags as arrays', () => {
+    expect(metadata.openGraph).toEqual({
+      title: 'Launch',
+      image: ['https://example.com/a.png', 'https://example.com/b.png'],
+    });
+    expect(metadata.twitter).toEqual({ card: 'summary_large_image' });
+  });
+
+  it('keeps supported JSON-LD types from @graph and skips malformed blocks', () => {
+    expect(metadata.jsonLd.map((node) => node['@type'])).toEqual(['BlogPosting', 'BreadcrumbList']);
+  });
+
+  it('derives author and dates from meta tags with JSON-LD as fallback', () => {
+    expect(metadata.author).toBe('Ada');
+    expect(metadata.publishedAt).toBe('2024-05-01T10:00:00.000Z');
+    expect(metadata.modifiedAt).toBe('2024-05-02T08:00:00.000Z');
+  });
+});
@@ -0,0 +1,101 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { describe, it, expect } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { loadAddressRules } from '../src/utils/ssrfGuard.js';
+import { isAllowedByRobots, parseRobots } from '../src/services/robotsService.js';
+import { discoverSitemapUrls, parseSitemap } from '../src/services/sitemapService.js';
+
+const ROBOTS = `
+# comment
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: flashcrawl
+User-agent: otherbot
+Disallow: /no-flashcrawl
+
+Sitemap: https://example.com/sitemap_index.xml
+`;
+
+describe('robots.txt parsing', () => {
+  const robots = parseRobots(ROBOTS);
+
+  it('groups consecutive user-agent lines and collects sitemaps', () => {
+    expect(robots.groups).toHaveLength(2);
+    expect(robots.groups[1].agents).toEqual(['flashcrawl', 'otherbot']);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap_index.xml']);
+  });
+
+  it('applies the longest matching rule with allow winning ties', () => {
+    expect(isAllowedByRobots(robots, 'somebot', '/private/secret').allowed).toBe(false);
+    expect(isAllowedByRobots(robots, 'somebot', '/private/public-page').allowed).toBe(true);
+    expect(isAllowedByRobots(robots, 'somebot', '/docs/file.pdf').allowed).toBe(false);
+    expect(isAllowedByRobots(robots, 'somebot', '/docs/file.pdf?download=1').allowed).toBe(true);
+    expect(isAllowedByRobots(robots, 'somebot', '/').crawlDelay).toBe(2);
+  });
+
+  it('prefers the group naming our user agent over the wildcard group', () => {
+    expect(isAllowedByRobots(robots, 'flashcrawl', '/no-flashcrawl').allowed).toBe(false);
+    expect(isAllowedByRobots(robots, 'flashcrawl', '/private/secret').allowed).toBe(true);
+  });
+
+  it('allows everything when there are no rules', () => {
+    expect(isAllowedByRobots(parseRobots(''), 'flashcrawl', '/anything').allowed).toBe(true);
+  });
+});
+
+describe('sitemap parsing', () => {
+  it('reads sitemap indexes', () => {
+    const { type, entries } = parseSitemap(`<?xml version="1.0"?>
+      <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://example.com/a.xml.gz</loc><lastmod>2024-01-01</lastmod></sitemap>
+        <sitemap><loc>https://example.com/b.xml</loc></sitemap>
+      </sitemapindex>`);
+    expect(type).toBe('index');
+    expect(entries).toEqual([
+      { loc: 'https://example.com/a.xml.gz', lastmod: '2024-01-01' },
+      { loc: 'https://example.com/b.xml', lastmod: null },
+    ]);
+  });
+
+  it('reads url sets and decodes entities', () => {
+    const { type, entries } = parseSitemap(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        <url><loc>https://example.com/?a=1&amp;b=2</loc><image:image><image:loc>https://example.com/i.png</image:loc></image:image><lastmod>2024-02-03T10:00:00Z</lastmod></url>
+      </urlset>`);
+    expect(type).toBe('urlset');
+    expect(entries).toEqual([{ loc: 'https://example.com/?a=1&b=2', lastmod: '2024-02-03T10:00:00Z' }]);
+  });
+
+  it('stops reading sitemaps past the body limit', async () => {
+    const urlset = `<urlset>${'<url><loc>https://example.com/page</loc></url>'.repeat(100)}</urlset>`;
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'application/xml' });
+      // chunked, so the limit is only noticed while streaming
+      res.write(req.url === '/big.xml' ? urlset : gzipSync(urlset));
+      res.end();
+    });
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+    const original = { ssrf: { ...config.ssrf }, maxBodyBytes: config.maxBodyBytes };
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+    config.maxBodyBytes = 1000;
+    try {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      const big = await discoverSitemapUrls(new URL(`${origin}/big.xml`));
+      expect(big.sitemaps[0].error).toBe('Sitemap exceeds 1000 bytes');
+      const compressed = await discoverSitemapUrls(new URL(`${origin}/small.xml.gz`));
+      expect(compressed.urls).toHaveLength(1);
+    } finally {
+      Object.assign(config.ssrf, original.ssrf);
+      config.maxBodyBytes = original.maxBodyBytes;
+      loadAddressRules();
+      await new Promise((resolve) => { server.close(resolve); });
+    }
+  });
+});
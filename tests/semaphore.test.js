@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { createSemaphore } from '../src/utils/semaphore.js';
+
+describe('createSemaphore', () => {
+  it('queues acquirers beyond the limit and releases them in order', async () => {
+    const semaphore = createSemaphore(1);
+    const order = [];
+
+    const releaseFirst = await semaphore.acquire();
+    const second = semaphore.acquire().then((release) => { order.push('second'); return release; });
+    const third = semaphore.acquire().then((release) => { order.push('third'); return release; });
+    expect(semaphore.active).toBe(1);
+    expect(semaphore.waiting).toBe(2);
+
+    releaseFirst();
+    releaseFirst(); // double release is ignored
+    const releaseSecond = await second;
+    expect(semaphore.active).toBe(1);
+    releaseSecond();
+    (await third)();
+
+    expect(order).toEqual(['second', 'third']);
+    expect(semaphore.active).toBe(0);
+  });
+
+  it('rejects waiters that time out', async () => {
+    const semaphore = createSemaphore(1);
+    await semaphore.acquire();
+    await expect(semaphore.acquire({ timeoutMs: 10 })).rejects.toThrow(/Timed out/);
+    expect(semaphore.waiting).toBe(0);
+  });
+});
@@ -17,6 +17,32 @@ describe('flashcrawl API basics', () => {
     expect(res.body).toEqual({ status: 'OK' });
   });
 
+  it('reports runtime status', async () => {
+    const res = await request(app).get('/status');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      totalCrawls: expect.any(Number),
+      successfulCrawls: expect.any(Number),
+      failedCrawls: expect.any(Number),
+      inFlight: 0,
+      recentUrls: expect.any(Array),
+      failuresByType: expect.any(Object),
+      lastBrowserError: null,
+    });
+    expect(res.body.uptime).toBeGreaterThanOrEqual(0);
+    expect(res.body.durations).toHaveProperty('p95Ms');
+    expect(res.body.browserPool).toMatchObject({ maxConcurrency: expect.any(Number), activeContexts: 0, waiting: 0 });
+  });
+
+  it('exposes Prometheus metrics', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain('# TYPE flashcrawl_crawls_total counter');
+    expect(res.text).toContain('# TYPE flashcrawl_crawl_duration_seconds histogram');
+    expect(res.text).toContain('flashcrawl_browser_contexts_active');
+  });
+
   it('rejects crawl requests without url', async () => {
     const res = await request(app).get('/crawl');
     expect(res.status).toBe(400);
@@ -29,6 +55,103 @@ describe('flashcrawl API basics', () => {
     expect(res.body).toHaveProperty('error', 'Invalid URL');
   });
 
+  it('rejects invalid crawl options with field-level errors', async () => {
+    const res = await request(app)
+      .post('/crawl')
+      .send({
+        url: 'https://example.com',
+        options: { waitUntil: 'whenever', timeoutMs: 5, viewport: { width: 10 }, headers: { 'bad header': 'x' }, colour: 'blue' },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid crawl options');
+    expect(Object.keys(res.body.fields).sort()).toEqual(['colour', 'headers', 'timeoutMs', 'viewport', 'waitUntil']);
+  });
+
+  it('rejects crawl options that are not valid JSON in the query string', async () => {
+    const res = await request(app).get('/crawl').query({ url: 'https://example.com', options: '{nope' });
+    expect(res.status).toBe(400);
+    expect(res.body.fields).toHaveProperty('options');
+  });
+
+  it('validates the top-level format parameter', async () => {
+    const res = await request(app).get('/crawl').query({ url: 'https://example.com', format: 'text,pdf' });
+    expect(res.status).toBe(400);
+    expect(res.body.fields).toHaveProperty('format');
+  });
+
+  it('returns 404 for unknown or malformed artifact names', async () => {
+    const unknown = await request(app).get('/artifacts/00000000-0000-0000-0000-000000000000.png');
+    expect(unknown.status).toBe(404);
+    const traversal = await request(app).get('/artifacts/..%2Fwatches.json');
+    expect(traversal.status).toBe(404);
+  });
+
+  it('reports unresolvable hosts with a stable error code', async () => {
+    const res = await request(app).get('/crawl').query({ url: 'https://no-such-host.invalid/' });
+    expect(res.status).toBe(502);
+    expect(res.body).toMatchObject({ error: 'Could not resolve no-such-host.invalid', code: 'DNS_FAILURE', url: 'https://no-such-host.invalid/' });
+  });
+
+  it('rejects site crawl requests without url', async () => {
+    const res = await request(app).get('/crawl/site');
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', 'Missing url query parameter');
+  });
+
+  it('rejects site crawl requests with invalid patterns or limits', async () => {
+    const badPattern = await request(app).post('/crawl/site').send({ url: 'https://example.com', include: ['('] });
+    expect(badPattern.status).toBe(400);
+    expect(badPattern.body.error).toMatch(/Invalid include pattern/);
+
+    const badDepth = await request(app).get('/crawl/site').query({ url: 'https://example.com', maxDepth: '-1' });
+    expect(badDepth.status).toBe(400);
+    expect(badDepth.body.error).toMatch(/maxDepth/);
+  });
+
+  it('rejects job submissions without url or with a bad webhook', async () => {
+    const missing = await request(app).post('/jobs').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body).toHaveProperty('error', 'Missing url parameter');
+
+    const badWebhook = await request(app).post('/jobs').send({ url: 'https://example.com', webhookUrl: 'ftp://example.com' });
+    expect(badWebhook.status).toBe(400);
+    expect(badWebhook.body).toHaveProperty('error', 'webhookUrl must use http or https');
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    const res = await request(app).get('/jobs/does-not-exist');
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty('error', 'Job not found');
+  });
+
+  it('rejects sitemap requests without url', async () => {
+    const res = await request(app).get('/sitemap');
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', 'Missing url query parameter');
+  });
+
+  it('rejects watches without exactly one schedule', async () => {
+    const none = await request(app).post('/watches').send({ url: 'https://example.com' });
+    expect(none.status).toBe(400);
+    expect(none.body).toHaveProperty('error', 'Provide exactly one of cron or interval');
+
+    const badCron = await request(app).post('/watches').send({ url: 'https://example.com', cron: '* * *' });
+    expect(badCron.status).toBe(400);
+
+    const neverFires = await request(app).post('/watches').send({ url: 'https://example.com', cron: '0 0 30 2 *' });
+    expect(neverFires.status).toBe(400);
+    expect(neverFires.body.error).toBe('cron expression never fires');
+
+    const tooFrequent = await request(app).post('/watches').send({ url: 'https://example.com', interval: '1s' });
+    expect(tooFrequent.status).toBe(400);
+    expect(tooFrequent.body.error).toMatch(/interval/);
+  });
+
+  it('returns 404 for unknown watches', async () => {
+    const res = await request(app).get('/watches/does-not-exist/history');
+    expect(res.status).toBe(404);
+  });
+
   it('does not expose the legacy /convert endpoint', async () => {
     const res = await request(app).post('/convert');
     expect(res.status).toBe(404);
@@ -0,0 +1,230 @@
+process.env.NODE_ENV = 'test';
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import dns from 'dns';
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { request as playwrightRequest } from 'rebrowser-playwright';
+import { config } from '../src/utils/config.js';
+import {
+  assertPublicUrl,
+  egressProxy,
+  fetchPublicUrl,
+  guardContext,
+  isBlockedAddress,
+  loadAddressRules,
+  requestPublicUrl,
+  resolvePublicProxy,
+} from '../src/utils/ssrfGuard.js';
+
+let app;
+
+describe('SSRF guard', () => {
+  const original = { ...config.ssrf };
+  let server;
+  let origin;
+
+  beforeAll(async () => {
+    ({ app } = await import('../server.js'));
+    server = http.createServer((req, res) => {
+      if (req.url === '/hop') {
+        res.writeHead(302, { location: '/final' });
+      } else if (req.url === '/metadata') {
+        res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+      } else {
+        res.writeHead(200, { 'content-type': 'text/plain' });
+      }
+      res.end(req.url);
+    });
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  // hostnames under .test never resolve, so lookups of them only succeed through the spy
+  const resolveTo = (address) => vi.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address, family: 4 }]);
+  const connectThrough = (proxyServer, target) => new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(proxyServer);
+    http.request({ host: hostname, port, method: 'CONNECT', path: target })
+      .on('connect', (res, socket) => resolve({ status: res.statusCode, socket }))
+      .on('error', reject)
+      .end();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    Object.assign(config.ssrf, original);
+    loadAddressRules();
+  });
+
+  afterAll(async () => {
+    Object.assign(config.ssrf, original);
+    loadAddressRules();
+    await new Promise((resolve) => { server.close(resolve); });
+  });
+
+  it('refuses private, loopback, link-local and configured ranges', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']
+      .forEach((address) => expect(isBlockedAddress(address), address).toBe(true));
+    ['93.184.216.34', '8.8.8.8', '2606:4700::1111'].forEach((address) => expect(isBlockedAddress(address), address).toBe(false));
+
+    Object.assign(config.ssrf, { denyCidrs: ['8.8.8.0/24'], allowCidrs: ['10.0.0.0/24'] });
+    loadAddressRules();
+    expect(isBlockedAddress('8.8.8.8')).toBe(true);
+    expect(isBlockedAddress('10.0.0.5')).toBe(false);
+    expect(isBlockedAddress('10.0.1.5')).toBe(true);
+
+    config.ssrf.denyCidrs = ['10.0.0.0/40'];
+    expect(() => loadAddressRules()).toThrow(/invalid CIDR/);
+    Object.assign(config.ssrf, original);
+    loadAddressRules();
+  });
+
+  it('refuses IPv6 forms that wrap a private IPv4 address', () => {
+    // NAT64 and 6to4 reach the embedded IPv4 address, like mapped addresses do
+    ['64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', '64:ff9b::127.0.0.1', '2002:a00:1::1', '2002:c0a8:101::', '2002:7f00:1::', '64:ff9b:1::a00:1']
+      .forEach((address) => expect(isBlockedAddress(address), address).toBe(true));
+    ['64:ff9b::93.184.216.34', '2002:5db8:d822::1'].forEach((address) => expect(isBlockedAddress(address), address).toBe(false));
+  });
+
+  it('rejects crawl targets that resolve to blocked addresses', async () => {
+    await expect(assertPublicUrl('http://localhost:9222/json/version')).rejects.toMatchObject({ statusCode: 403 });
+
+    const res = await request(app).post('/crawl').send({ url: 'http://169.254.169.254/latest/meta-data/' });
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'URL resolves to a blocked address', code: 'ADDRESS_BLOCKED', url: 'http://169.254.169.254/latest/meta-data/' });
+  });
+
+  it('checks every redirect hop of direct fetches', async () => {
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+
+    const followed = await fetchPublicUrl(`${origin}/hop`);
+    expect(followed.status).toBe(200);
+    expect(await followed.text()).toBe('/final');
+
+    await expect(fetchPublicUrl(`${origin}/metadata`)).rejects.toMatchObject({ statusCode: 403 });
+    expect((await fetchPublicUrl(`${origin}/hop`, {}, { maxRedirects: 0 })).status).toBe(302);
+  });
+
+  it('connects direct fetches to the addresses that were checked', async () => {
+    resolveTo('127.0.0.1');
+    const port = new URL(origin).port;
+    await expect(fetchPublicUrl(`http://rebind-a.test:${port}/final`)).rejects.toMatchObject({ details: { code: 'ADDRESS_BLOCKED' } });
+
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+    const res = await fetchPublicUrl(`http://rebind-b.test:${port}/final`);
+    expect(await res.text()).toBe('/final');
+  });
+
+  it('checks every tunnel of the egress proxy at connection time', async () => {
+    resolveTo('127.0.0.1');
+    const { server } = await egressProxy();
+    const port = new URL(origin).port;
+
+    const refused = await connectThrough(server, `rebind-c.test:${port}`);
+    expect(refused.status).toBe(403);
+    refused.socket.destroy();
+    expect((await connectThrough(server, '169.254.169.254:80')).status).toBe(403);
+
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+    const { status, socket } = await connectThrough(server, `rebind-d.test:${port}`);
+    expect(status).toBe(200);
+    const reply = await new Promise((resolve) => {
+      socket.once('data', (chunk) => resolve(chunk.toString()));
+      socket.write('GET /tunnelled HTTP/1.1\r\nHost: rebind-d.test\r\nConnection: close\r\n\r\n');
+    });
+    socket.destroy();
+    expect(reply).toMatch(/^HTTP\/1\.1 200/);
+  });
+
+  it('checks plain http requests forwarded by the egress proxy at connection time', async () => {
+    resolveTo('127.0.0.1');
+    const { server } = await egressProxy();
+    const proxy = new URL(server);
+    const port = new URL(origin).port;
+    const forwardTo = (target) => new Promise((resolve, reject) => {
+      http.get({ host: proxy.hostname, port: proxy.port, path: target, headers: { 'proxy-connection': 'keep-alive' } }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject);
+    });
+
+    const refused = await forwardTo(`http://rebind-f.test:${port}/hop`);
+    expect(refused.status).toBe(403);
+    expect(refused.headers['x-flashcrawl-refused']).toBe('1');
+    expect((await forwardTo('http://169.254.169.254/latest/meta-data/')).status).toBe(403);
+
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+    // the browser follows redirects itself, through the proxy again
+    const hop = await forwardTo(`http://rebind-g.test:${port}/hop`);
+    expect(hop).toMatchObject({ status: 302, body: '/hop' });
+    expect(hop.headers.location).toBe('/final');
+  });
+
+  it('fetches navigations to inspect redirects and lets checked subresources continue', async () => {
+    let handler;
+    await guardContext({ route: async (pattern, fn) => { handler = fn; }, routeWebSocket: async () => {} });
+    const route = (url, { navigation }) => ({
+      request: () => ({ url: () => url, isNavigationRequest: () => navigation, resourceType: () => (navigation ? 'document' : 'image') }),
+      continue: vi.fn(async () => {}),
+      fetch: vi.fn(async () => ({ status: () => 302, headers: () => ({ location: 'http://169.254.169.254/' }) })),
+      fulfill: vi.fn(async () => {}),
+      abort: vi.fn(async () => {}),
+    });
+
+    const image = route('https://93.184.216.34/logo.png', { navigation: false });
+    await handler(image);
+    expect(image.continue).toHaveBeenCalled();
+    expect(image.fetch).not.toHaveBeenCalled();
+
+    const internal = route('http://127.0.0.1/admin.png', { navigation: false });
+    await handler(internal);
+    expect(internal.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(internal.continue).not.toHaveBeenCalled();
+
+    const page = route('https://93.184.216.34/', { navigation: true });
+    await handler(page);
+    expect(page.fetch).toHaveBeenCalledWith({ maxRedirects: 0 });
+    expect(page.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(page.fulfill).not.toHaveBeenCalled();
+  });
+
+  it('sends Playwright request contexts through the egress proxy', async () => {
+    Object.assign(config.ssrf, { allowCidrs: ['127.0.0.1/32'] });
+    loadAddressRules();
+    resolveTo('127.0.0.1');
+    const context = await playwrightRequest.newContext({ proxy: await egressProxy() });
+    try {
+      const resp = await requestPublicUrl(context, `http://rebind-e.test:${new URL(origin).port}/hop`);
+      expect(await resp.text()).toBe('/final');
+    } finally {
+      await context.dispose();
+    }
+  });
+
+  it('refuses caller-supplied proxies on blocked addresses and pins the rest', async () => {
+    await expect(resolvePublicProxy('http://127.0.0.1:3128')).rejects.toMatchObject({ statusCode: 403, details: { code: 'ADDRESS_BLOCKED' } });
+    resolveTo('93.184.216.34');
+    expect(await resolvePublicProxy('socks5://proxy.test:1080')).toBe('socks5://93.184.216.34:1080');
+  });
+
+  it('closes page WebSockets to blocked addresses', async () => {
+    let onWebSocket;
+    await guardContext({ route: async () => {}, routeWebSocket: async (matcher, handler) => { onWebSocket = handler; } });
+    const socket = (url) => ({ url: () => url, connectToServer: vi.fn(), close: vi.fn(async () => {}) });
+
+    const internal = socket('ws://127.0.0.1:9229/devtools');
+    await onWebSocket(internal);
+    expect(internal.close).toHaveBeenCalledWith(expect.objectContaining({ code: 1008 }));
+    expect(internal.connectToServer).not.toHaveBeenCalled();
+
+    const external = socket('wss://93.184.216.34/feed');
+    await onWebSocket(external);
+    expect(external.connectToServer).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { randomBytes } from 'crypto';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { config } from '../src/utils/config.js';
+import { appendWarcRecords, formatWarcRecord, httpRequestBlock, httpResponseBlock } from '../src/services/warcArchive.js';
+
+describe('WARC archive', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcrawl-warc-'));
+  const original = { ...config.warc };
+
+  beforeAll(() => {
+    Object.assign(config.warc, { dir, maxFileBytes: 2500 });
+  });
+
+  afterAll(() => {
+    Object.assign(config.warc, original);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('formats HTTP messages and records', () => {
+    const request = httpRequestBlock({ url: 'https://example.com/a?b=1', headers: [{ name: 'accept', value: '*/*' }] }).toString();
+    expect(request).toBe('GET /a?b=1 HTTP/1.1\r\nHost: example.com\r\naccept: */*\r\n\r\n');
+
+    const response = httpResponseBlock({
+      status: 200,
+      statusText: 'OK',
+      headers: [{ name: 'content-encoding', value: 'gzip' }, { name: 'content-length', value: '9' }],
+      body: Buffer.from('hello'),
+    }).toString();
+    expect(response).toBe('HTTP/1.1 200 OK\r\nX-Original-content-encoding: gzip\r\nContent-Length: 5\r\n\r\nhello');
+
+    const record = formatWarcRecord({ 'WARC-Type': 'response', 'WARC-Concurrent-To': null }, Buffer.from('abc')).toString();
+    expect(record).toMatch(/^WARC\/1\.1\r\nWARC-Type: response\r\nWARC-Block-Digest: sha256:[0-9a-f]{64}\r\nContent-Length: 3\r\n\r\nabc\r\n\r\n$/);
+    expect(record).not.toContain('WARC-Concurrent-To');
+  });
+
+  it('writes gzipped records after a warcinfo record and rotates by size', () => {
+    const records = [{ fields: { 'WARC-Type': 'resource', 'WARC-Record-ID': '<urn:uuid:1>' }, block: randomBytes(600) }];
+    const first = appendWarcRecords(records);
+    expect(appendWarcRecords(records)).toBe(first);
+    const rotated = appendWarcRecords(records);
+    expect(rotated).not.toBe(first);
+    expect(first).toMatch(/\.warc\.gz$/);
+
+    const content = zlib.gunzipSync(fs.readFileSync(path.join(dir, first))).toString();
+    expect(content.match(/^WARC-Type: \w+/gm)).toEqual(['WARC-Type: warcinfo', 'WARC-Type: resource', 'WARC-Type: resource']);
+    expect(content).toMatch(/WARC-Warcinfo-ID: <urn:uuid:[0-9a-f-]{36}>/);
+  });
+});